@@ -0,0 +1,231 @@
+// Annotation Layer
+// This file lets the presenter draw over the slide with a pen or highlighter, and remembers the
+// strokes of every page. Finished strokes are baked into the page image, so they are part of the
+// page texture and move with it during transitions; only the stroke being drawn sits on an overlay.
+
+class AnnotationLayer {
+    constructor(canvas) {
+        this.canvas = canvas; // Overlay for the stroke being drawn, sized like the page on screen
+        this.ctx = canvas.getContext('2d');
+        this.strokes = new Map(); // Page number -> [{ tool, color, width, points }], see addPoint()
+        this.revisions = new Map(); // Page number -> revision of its strokes, part of the baked key
+        this.revision = 0;
+        this.baked = new Map(); // Page number -> { image, key } of the page with its strokes drawn in
+        this.tool = null; // 'pen', 'highlighter' or null when not drawing
+        this.colors = Object.assign({}, AnnotationLayer.COLORS);
+        this.pageNumber = null; // Page under the overlay, null while it is hidden
+        this.drawing = null; // Stroke in progress
+
+        this.onChange = null; // (pageNumber) after strokes were added or removed
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.tool || this.pageNumber === null || e.button !== 0) {
+                return;
+            }
+            this.canvas.setPointerCapture(e.pointerId);
+            this.drawing = {
+                tool: this.tool,
+                color: this.colors[this.tool],
+                width: AnnotationLayer.WIDTHS[this.tool],
+                points: []
+            };
+            this.addPoint(e);
+            this.renderDrawing();
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.drawing) {
+                return;
+            }
+            // Fast pen movements deliver several points per frame
+            const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            for (const event of events.length > 0 ? events : [e]) {
+                this.addPoint(event);
+            }
+            this.renderDrawing();
+        });
+
+        this.canvas.addEventListener('pointerup', () => this.finishStroke());
+        this.canvas.addEventListener('pointercancel', () => this.cancelStroke());
+
+        // Drawing must not also turn the page
+        for (const type of ['click', 'touchstart', 'touchend']) {
+            this.canvas.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+        }
+    }
+
+    // Points are stored in fractions of the page, top-left origin, so strokes fit any page size
+    addPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.drawing.points.push([(e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height]);
+    }
+
+    renderDrawing() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.drawing) {
+            AnnotationLayer.drawStroke(this.ctx, this.drawing, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    finishStroke() {
+        if (!this.drawing) {
+            return;
+        }
+        const stroke = this.drawing;
+        this.drawing = null;
+        this.strokes.set(this.pageNumber, this.getStrokes(this.pageNumber).concat([stroke]));
+        this.changed(this.pageNumber);
+    }
+
+    cancelStroke() {
+        this.drawing = null;
+        this.renderDrawing();
+    }
+
+    // Pen or highlighter, or null to stop drawing and let clicks turn pages again
+    setTool(tool) {
+        this.cancelStroke();
+        this.tool = tool;
+        this.canvas.classList.toggle('drawing', tool !== null);
+    }
+
+    setColor(color) {
+        if (this.tool) {
+            this.colors[this.tool] = color;
+        }
+    }
+
+    // Put the overlay over a page shown at width x height CSS px
+    setPage(pageNumber, width, height) {
+        const dpr = window.devicePixelRatio || 1;
+        this.cancelStroke();
+        this.pageNumber = pageNumber;
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+        this.canvas.style.display = 'block';
+    }
+
+    // No drawing while the page changes
+    hide() {
+        this.cancelStroke();
+        this.pageNumber = null;
+        this.canvas.style.display = 'none';
+    }
+
+    getStrokes(pageNumber) {
+        return this.strokes.get(pageNumber) || [];
+    }
+
+    hasStrokes(pageNumber) {
+        return this.getStrokes(pageNumber).length > 0;
+    }
+
+    undo(pageNumber) {
+        const strokes = this.getStrokes(pageNumber);
+        if (strokes.length > 0) {
+            this.strokes.set(pageNumber, strokes.slice(0, -1));
+            this.changed(pageNumber);
+        }
+    }
+
+    clear(pageNumber) {
+        if (this.hasStrokes(pageNumber)) {
+            this.strokes.delete(pageNumber);
+            this.changed(pageNumber);
+        }
+    }
+
+    // Forget every stroke, e.g. after another PDF was loaded
+    reset() {
+        this.hide();
+        this.strokes = new Map();
+        this.revisions = new Map();
+        this.baked = new Map();
+    }
+
+    changed(pageNumber) {
+        this.revisions.set(pageNumber, ++this.revision);
+        this.baked.delete(pageNumber);
+        this.renderDrawing();
+        if (this.onChange) {
+            this.onChange(pageNumber);
+        }
+    }
+
+    // The image of a page with its strokes drawn in, and the key to pool its texture under.
+    // Pages without strokes come back unchanged.
+    bake(pageNumber, image, key) {
+        if (!this.hasStrokes(pageNumber)) {
+            return { image: image, key: key };
+        }
+
+        const bakedKey = key + '+ink' + this.revisions.get(pageNumber);
+        const cached = this.baked.get(pageNumber);
+        if (cached && cached.key === bakedKey) {
+            return cached;
+        }
+        // A released bitmap can't be drawn; the caller renders the page again
+        if (image.width === 0) {
+            return { image: image, key: key };
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        this.drawStrokes(ctx, pageNumber, canvas.width, canvas.height);
+
+        const baked = { image: canvas, key: bakedKey };
+        this.baked.set(pageNumber, baked);
+        return baked;
+    }
+
+    drawStrokes(ctx, pageNumber, width, height) {
+        for (const stroke of this.getStrokes(pageNumber)) {
+            AnnotationLayer.drawStroke(ctx, stroke, width, height);
+        }
+    }
+
+    // Stroke widths are fractions of the page height
+    static drawStroke(ctx, stroke, width, height) {
+        const points = stroke.points;
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = stroke.width * height;
+        if (stroke.tool === 'highlighter') {
+            // Tints the page like a marker instead of covering it
+            ctx.globalAlpha = AnnotationLayer.HIGHLIGHTER_ALPHA;
+            ctx.globalCompositeOperation = 'multiply';
+        }
+
+        // A single point (a tap) still leaves a dot
+        ctx.beginPath();
+        ctx.moveTo(points[0][0] * width, points[0][1] * height);
+        for (const point of points.length > 1 ? points.slice(1) : points) {
+            ctx.lineTo(point[0] * width, point[1] * height);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+AnnotationLayer.COLORS = {
+    pen: '#e74c3c',
+    highlighter: '#f1c40f'
+};
+
+AnnotationLayer.WIDTHS = {
+    pen: 0.005,
+    highlighter: 0.03
+};
+
+AnnotationLayer.HIGHLIGHTER_ALPHA = 0.4;
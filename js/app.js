@@ -9,10 +9,44 @@ class PDFTransitionsApp {
         this.currentTransition = 'fade';
         this.pdfHandler = new PDFHandler();
         this.webglUtils = null;
+        this.canvasTransitions = null; // Canvas 2D transitions, when WebGL is unavailable
+        this.transitionLibrary = new TransitionLibrary();
+        this.customTransitions = new CustomTransitions(); // The user's own shaders, kept in local storage
+        this.registerCustomTransitions(this.customTransitions.list());
+        this.deckProfile = new DeckProfile();
+        this.useEmbeddedTransitions = true; // Honour /Trans and /Dur from the PDF
+        this.autoPlayer = null; // Times pages for kiosk auto-play and /Dur, see AutoPlayer
+        this.presenterSync = new PresenterSync();
+        this.presenterWindows = new Set(); // Ids of the open presenter windows
+        this.videoExporter = null; // Set while a video export is running
+        this.bundle = window.PDF_TRANSITIONS_BUNDLE || null; // Set when running from an offline bundle
         this.isTransitioning = false;
-        this.currentPageCanvas = null;
-        this.pageCache = new Map(); // Cache for pre-rendered pages
-        this.isPrerendering = false;
+        this.navigation = new NavigationController((page, fromPage, signal) => this.showPage(page, fromPage, signal));
+        this.inputBindings = new InputBindings();
+        this.keyCaptureAction = null; // Action waiting for a key press in the bindings editor
+        this.pageNumberInput = ''; // Digits typed for a page jump
+        this.pageNumberTimer = null;
+        this.blankMode = null; // 'black' or 'white' while the screen is blanked
+        this.lastWheelTime = 0;
+        this.touchStart = null;
+        this.pageCache = new PageCacheManager(this.pdfHandler); // Rendered pages as ImageBitmaps
+        this.navigationDirection = 1; // Direction of the last page change, for rendering ahead
+        this.shownSize = null; // Display size of the page on screen
+        this.shownKey = null; // Cache key of the page on screen, also names its GPU texture
+        this.shownImage = null; // Bitmap of the page on screen
+        this.laserActive = false;
+        this.transitionPreview = null; // Plays the settings of the slide transitions panel
+        this.paramsTransition = null; // Transition whose parameters the panel shows
+        this.editedParams = {}; // Parameter values in the panel
+        this.shaderEditor = null;
+        this.overview = null; // Thumbnail grid of every page
+        this.overviewZoom = null; // Promise of the zoom from the grid into a page, while it runs
+        this.linkLayer = null; // Hot zones for the links of the page on screen
+        this.outlineSidebar = null; // Table of contents
+        this.linkHistory = []; // Pages left by following links, for the GoBack action
+        this.textLayer = null; // Selectable text and search matches over the page on screen
+        this.searchPanel = null; // Full-text search of the deck
+        this.annotations = null; // Pen and highlighter strokes per page
         
         this.init();
     }
@@ -23,169 +57,1752 @@ class PDFTransitionsApp {
         
         // Setup event listeners
         this.setupEventListeners();
+
+        // Replace a placeholder on screen as soon as its page is rendered in full
+        this.pageCache.onPageUpgraded = (pageNumber, entry) => {
+            if (pageNumber === this.currentPage && !this.isTransitioning) {
+                this.displayPage(entry);
+            }
+        };
         
         // Initialize WebGL context
         this.initWebGL();
+
+        // The preview runs on a WebGL canvas of its own
+        if (this.webglUtils) {
+            this.transitionPreview = new TransitionPreview(this.transitionPreviewCanvas, this.transitionLibrary);
+        } else {
+            this.transitionPreviewCanvas.parentElement.style.display = 'none';
+        }
+        this.initShaderEditor();
+
+        // Fill the transition selector from the transition library
+        this.populateTransitionSelect();
+        this.populateSlideSettingsSelects();
+
+        // Show the per-page settings of the (empty) deck profile
+        this.updateSlideSettingsPanel();
+        this.renderKeyBindings();
+
+        // Listen to a presenter window, and reconnect one left open by a previous session
+        this.setupPresenterSync();
+
+        // An offline bundle carries its own PDF and deck profile
+        if (this.bundle) {
+            this.loadBundledPresentation();
+        }
         
         console.log('PDF Transitions App initialized');
     }
 
-    initializeElements() {
-        // PDF Upload
-        this.pdfUpload = document.getElementById('pdfUpload');
-        
-        // Navigation
-        this.prevButton = document.getElementById('prevPage');
-        this.nextButton = document.getElementById('nextPage');
-        this.currentPageSpan = document.getElementById('currentPage');
-        this.totalPagesSpan = document.getElementById('totalPages');
-        
-        // Transition selector
-        this.transitionSelect = document.getElementById('transitionSelect');
-        
-        // Fullscreen button
-        this.fullscreenBtn = document.getElementById('fullscreenBtn');
-        
-        // Canvases
-        this.pdfCanvas = document.getElementById('pdfCanvas');
-        this.webglCanvas = document.getElementById('webglCanvas');
-        
-        // Viewer container
-        this.viewer = document.querySelector('.viewer');
+    initializeElements() {
+        // PDF Upload
+        this.pdfUpload = document.getElementById('pdfUpload');
+        
+        // Navigation
+        this.prevButton = document.getElementById('prevPage');
+        this.nextButton = document.getElementById('nextPage');
+        this.prevSlideButton = document.getElementById('prevSlide');
+        this.nextSlideButton = document.getElementById('nextSlide');
+        this.physicalPageSpan = document.getElementById('physicalPage');
+        this.currentPageSpan = document.getElementById('currentPage');
+        this.totalPagesSpan = document.getElementById('totalPages');
+        
+        // Transition selector
+        this.transitionSelect = document.getElementById('transitionSelect');
+        this.transitionDurationInput = document.getElementById('transitionDuration');
+        
+        // Per-page transition settings
+        this.settingsPageSpan = document.getElementById('settingsPage');
+        this.pageTransitionSelect = document.getElementById('pageTransitionSelect');
+        this.pageDurationInput = document.getElementById('pageDuration');
+        this.pageEasingInput = document.getElementById('pageEasing');
+        this.easingPresetsList = document.getElementById('easingPresets');
+        this.pageHoldInput = document.getElementById('pageHold');
+        this.pageOvershootInput = document.getElementById('pageOvershoot');
+        this.pageAdvanceInput = document.getElementById('pageAdvance');
+        this.applyPageSettingsBtn = document.getElementById('applyPageSettings');
+        this.clearPageSettingsBtn = document.getElementById('clearPageSettings');
+        this.setDefaultSettingsBtn = document.getElementById('setDefaultSettings');
+        this.pageSettingsTableBody = document.querySelector('#pageSettingsTable tbody');
+        this.transitionParamsDiv = document.getElementById('transitionParams');
+        this.transitionPreviewCanvas = document.getElementById('transitionPreview');
+        this.playPreviewBtn = document.getElementById('playPreview');
+        this.overlayTransitionSelect = document.getElementById('overlayTransition');
+        this.overlayDurationInput = document.getElementById('overlayDuration');
+
+        // Custom transition editor
+        this.shaderEditorPanel = document.querySelector('.shader-editor-panel');
+        this.shaderEditorElements = {
+            name: document.getElementById('shaderName'),
+            list: document.getElementById('customTransitionList'),
+            source: document.getElementById('shaderSource'),
+            compileButton: document.getElementById('compileShader'),
+            saveButton: document.getElementById('saveShader'),
+            deleteButton: document.getElementById('deleteShader'),
+            errors: document.getElementById('shaderErrors'),
+            canvas: document.getElementById('shaderPreview'),
+            fromPage: document.getElementById('shaderFromPage'),
+            toPage: document.getElementById('shaderToPage'),
+            scrubber: document.getElementById('shaderScrubber'),
+            loop: document.getElementById('shaderLoop')
+        };
+
+        // Deck profile import/export
+        this.exportProfileBtn = document.getElementById('exportProfile');
+        this.importProfileInput = document.getElementById('importProfile');
+        
+        // Split-screen notes layout
+        this.notesLayoutSelect = document.getElementById('notesLayout');
+
+        // Embedded PDF transitions toggle
+        this.useEmbeddedCheckbox = document.getElementById('useEmbeddedTransitions');
+        this.stageBackgroundInput = document.getElementById('stageBackground');
+        this.embeddedInfo = document.getElementById('embeddedTransitionInfo');
+        
+        // Video export
+        this.exportHeightSelect = document.getElementById('exportHeight');
+        this.exportFpsSelect = document.getElementById('exportFps');
+        this.exportHoldInput = document.getElementById('exportHold');
+        this.exportUseDurCheckbox = document.getElementById('exportUseDur');
+        this.exportVideoBtn = document.getElementById('exportVideoBtn');
+        this.exportProgress = document.getElementById('exportProgress');
+        this.exportStatus = document.getElementById('exportStatus');
+        this.exportBundleBtn = document.getElementById('exportBundleBtn');
+
+        // Viewer overlays and key bindings editor
+        this.blankScreen = document.getElementById('blankScreen');
+        this.pageJumpIndicator = document.getElementById('pageJumpIndicator');
+        this.keyBindingsTableBody = document.querySelector('#keyBindingsTable tbody');
+        this.pointerBindingsDiv = document.getElementById('pointerBindings');
+        this.resetBindingsBtn = document.getElementById('resetBindings');
+        
+        // Fullscreen and presenter view buttons
+        this.fullscreenBtn = document.getElementById('fullscreenBtn');
+        this.presenterBtn = document.getElementById('presenterBtn');
+        this.overviewBtn = document.getElementById('overviewBtn');
+
+        // Kiosk auto-play
+        this.autoPlayBtn = document.getElementById('autoPlayBtn');
+        this.autoPlayStopBtn = document.getElementById('autoPlayStop');
+        this.autoPlaySecondsInput = document.getElementById('autoPlaySeconds');
+        this.autoPlayLoopCheckbox = document.getElementById('autoPlayLoop');
+        this.autoPlayRandomCheckbox = document.getElementById('autoPlayRandom');
+        this.autoPlayHoverCheckbox = document.getElementById('autoPlayHoverPause');
+        this.autoPlayProgress = document.getElementById('autoPlayProgress');
+        this.overviewGridDiv = document.getElementById('overviewGrid');
+        this.outlineBtn = document.getElementById('outlineBtn');
+        this.outlineSidebarDiv = document.getElementById('outlineSidebar');
+        this.linkLayerDiv = document.getElementById('linkLayer');
+        this.textLayerDiv = document.getElementById('textLayer');
+        this.selectableTextInput = document.getElementById('selectableText');
+        this.searchBtn = document.getElementById('searchBtn');
+        this.searchPanelDiv = document.getElementById('searchPanel');
+        this.annotationCanvas = document.getElementById('annotationCanvas');
+        this.penBtn = document.getElementById('penBtn');
+        this.highlighterBtn = document.getElementById('highlighterBtn');
+        this.laserBtn = document.getElementById('laserBtn');
+        this.annotationColorInput = document.getElementById('annotationColor');
+        this.undoStrokeBtn = document.getElementById('undoStrokeBtn');
+        this.clearStrokesBtn = document.getElementById('clearStrokesBtn');
+        this.exportPngBtn = document.getElementById('exportPngBtn');
+        this.exportAnnotatedPdfBtn = document.getElementById('exportAnnotatedPdfBtn');
+        
+        // Canvases
+        this.pdfCanvas = document.getElementById('pdfCanvas');
+        this.webglCanvas = document.getElementById('webglCanvas');
+        
+        // Viewer container
+        this.viewer = document.querySelector('.viewer');
+    }
+
+    setupEventListeners() {
+        // PDF upload handler
+        this.pdfUpload.addEventListener('change', (e) => {
+            this.handlePDFUpload(e);
+        });
+
+        // Navigation handlers
+        this.prevButton.addEventListener('click', () => {
+            this.goToPreviousPage();
+        });
+
+        this.nextButton.addEventListener('click', () => {
+            this.goToNextPage();
+        });
+
+        // Logical slide navigation skips overlay builds
+        this.prevSlideButton.addEventListener('click', () => {
+            this.goToPreviousSlide();
+        });
+
+        this.nextSlideButton.addEventListener('click', () => {
+            this.goToNextSlide();
+        });
+
+        // Transition selector handler
+        this.transitionSelect.addEventListener('change', (e) => {
+            this.currentTransition = e.target.value;
+            this.deckProfile.setDefaults({ transition: this.currentTransition });
+            this.saveDeckProfile();
+            console.log('Transition changed to:', this.currentTransition);
+        });
+
+        this.transitionDurationInput.addEventListener('change', (e) => {
+            this.deckProfile.setDefaults({ duration: parseInt(e.target.value, 10) || 0 });
+            this.saveDeckProfile();
+        });
+
+        // Flag easings that would fall back to linear
+        this.pageEasingInput.addEventListener('input', (e) => {
+            const valid = !e.target.value || Easing.isValid(e.target.value.trim());
+            e.target.setCustomValidity(valid ? '' : 'Unknown easing');
+        });
+
+        // Notes layout handler: pages are cropped differently, so drop the cache. Strokes are
+        // stored in fractions of the old crop and would land elsewhere on the new one.
+        this.notesLayoutSelect.addEventListener('change', (e) => {
+            this.pdfHandler.setNotesLayout(e.target.value);
+            this.pageCache.clear();
+            this.annotations.reset();
+            this.overview.reset();
+            this.searchPanel.reset();
+            if (this.pdfHandler.isPDFLoaded()) {
+                this.renderPage();
+            }
+        });
+
+        // Embedded transitions toggle handler
+        this.useEmbeddedCheckbox.addEventListener('change', (e) => {
+            this.useEmbeddedTransitions = e.target.checked;
+            this.updateSlideSettingsPanel();
+            this.scheduleAutoAdvance();
+        });
+
+        // Stage background handler
+        this.stageBackgroundInput.addEventListener('change', (e) => {
+            this.deckProfile.background = e.target.value;
+            this.saveDeckProfile();
+        });
+
+        // Per-page settings handlers
+        this.applyPageSettingsBtn.addEventListener('click', () => {
+            this.applyPageSettingsFromPanel();
+        });
+
+        this.clearPageSettingsBtn.addEventListener('click', () => {
+            this.deckProfile.clearPageSettings(this.currentPage);
+            this.saveDeckProfile();
+        });
+
+        // The parameters follow the transition picked for the page; changes are previewed
+        this.pageTransitionSelect.addEventListener('change', () => {
+            this.renderTransitionParams();
+            this.playTransitionPreview();
+        });
+
+        for (const input of [this.pageDurationInput, this.pageEasingInput, this.pageHoldInput, this.pageOvershootInput]) {
+            input.addEventListener('change', () => this.playTransitionPreview());
+        }
+
+        this.playPreviewBtn.addEventListener('click', () => {
+            this.playTransitionPreview();
+        });
+
+        this.setDefaultSettingsBtn.addEventListener('click', () => {
+            this.setDefaultSettingsFromPanel();
+        });
+
+        // Overlay build settings handlers
+        this.overlayTransitionSelect.addEventListener('change', (e) => {
+            this.deckProfile.setOverlaySettings({ transition: e.target.value });
+            this.saveDeckProfile();
+        });
+
+        this.overlayDurationInput.addEventListener('change', (e) => {
+            this.deckProfile.setOverlaySettings({ duration: parseInt(e.target.value, 10) || 0 });
+            this.saveDeckProfile();
+        });
+
+        // Deck profile handlers
+        this.exportProfileBtn.addEventListener('click', () => {
+            this.exportDeckProfile();
+        });
+
+        this.importProfileInput.addEventListener('change', (e) => {
+            this.importDeckProfile(e);
+        });
+
+        // Video export handler, the same button cancels a running export
+        this.exportVideoBtn.addEventListener('click', () => {
+            if (this.videoExporter) {
+                this.videoExporter.cancel();
+            } else {
+                this.exportVideo();
+            }
+        });
+
+        // Offline presentation export handler
+        this.exportBundleBtn.addEventListener('click', () => {
+            this.exportPresentation();
+        });
+
+        // Annotated page and deck export handlers
+        this.exportPngBtn.addEventListener('click', () => {
+            this.exportAnnotatedPNG();
+        });
+
+        this.exportAnnotatedPdfBtn.addEventListener('click', () => {
+            this.exportAnnotatedPDF();
+        });
+
+        // Fullscreen button handler
+        this.fullscreenBtn.addEventListener('click', () => {
+            this.toggleFullscreen();
+        });
+
+        // Presenter view button handler
+        this.presenterBtn.addEventListener('click', () => {
+            this.openPresenterView();
+        });
+
+        // Slide overview: the grid handles its own keys and pointer input while open
+        this.overview = new OverviewGrid(this.overviewGridDiv, this.pdfHandler);
+        this.overview.onChoose = (pageNumber, thumbnail) => this.zoomToOverviewPage(pageNumber, thumbnail);
+        this.overviewBtn.addEventListener('click', () => {
+            this.toggleOverview();
+        });
+
+        // Links and the table of contents jump through the transition engine
+        this.linkLayer = new LinkLayer(this.linkLayerDiv);
+        this.linkLayer.onNavigate = (link) => this.followLink(link);
+        this.outlineSidebar = new OutlineSidebar(this.outlineSidebarDiv, this.pdfHandler);
+        this.outlineSidebar.onNavigate = (pageNumber) => this.jumpToPage(pageNumber);
+        this.outlineBtn.addEventListener('click', () => {
+            this.outlineSidebar.toggle();
+        });
+
+        // Text over the page for selecting and copying, and for marking search matches
+        this.textLayer = new TextLayer(this.textLayerDiv);
+        this.selectableTextInput.addEventListener('change', (e) => {
+            this.textLayer.setSelectable(e.target.checked);
+            this.updateTextLayer();
+        });
+        this.searchPanel = new SearchPanel(this.searchPanelDiv, this.pdfHandler);
+        this.searchPanel.onChoose = (match) => this.showSearchMatch(match);
+        this.searchPanel.onMatchesChange = () => this.updateTextLayer();
+        this.searchBtn.addEventListener('click', () => {
+            this.searchPanel.toggle();
+        });
+
+        // Pen and highlighter strokes are baked into the page images, so they move with the transitions
+        this.annotations = new AnnotationLayer(this.annotationCanvas);
+        this.annotations.onChange = (pageNumber) => this.onAnnotationsChange(pageNumber);
+        this.penBtn.addEventListener('click', () => {
+            this.setAnnotationTool('pen');
+        });
+        this.highlighterBtn.addEventListener('click', () => {
+            this.setAnnotationTool('highlighter');
+        });
+        this.laserBtn.addEventListener('click', () => {
+            this.setLaserPointer(!this.laserActive);
+        });
+        this.annotationColorInput.addEventListener('input', (e) => {
+            this.annotations.setColor(e.target.value);
+        });
+        this.undoStrokeBtn.addEventListener('click', () => {
+            this.annotations.undo(this.currentPage);
+        });
+        this.clearStrokesBtn.addEventListener('click', () => {
+            this.annotations.clear(this.currentPage);
+        });
+
+        // Kiosk auto-play
+        this.autoPlayer = new AutoPlayer(this.autoPlayProgress);
+        this.autoPlayer.onAdvance = () => this.advanceAutoPlay();
+        this.autoPlayer.onStateChange = () => this.updateAutoPlayButton();
+        this.autoPlayBtn.addEventListener('click', () => {
+            this.toggleAutoPlay();
+        });
+        this.autoPlayStopBtn.addEventListener('click', () => {
+            this.autoPlayer.stop();
+            this.scheduleAutoAdvance();
+        });
+        this.autoPlaySecondsInput.addEventListener('change', (e) => {
+            this.autoPlayer.defaultSeconds = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        this.autoPlayLoopCheckbox.addEventListener('change', (e) => {
+            this.autoPlayer.loop = e.target.checked;
+        });
+        this.autoPlayRandomCheckbox.addEventListener('change', (e) => {
+            this.autoPlayer.random = e.target.checked;
+        });
+        this.autoPlayHoverCheckbox.addEventListener('change', (e) => {
+            this.autoPlayer.pauseOnHover = e.target.checked;
+            if (!e.target.checked) {
+                this.autoPlayer.resume('hover');
+            }
+        });
+
+        // Keyboard navigation through the editable key bindings
+        document.addEventListener('keydown', (e) => {
+            // Leave typing in form fields alone
+            if (e.target.matches('input, select, textarea') || this.overview.isOpen()) {
+                return;
+            }
+            if (this.keyCaptureAction) {
+                this.captureKey(e);
+                return;
+            }
+            if (this.handlePageNumberKey(e)) {
+                e.preventDefault();
+                return;
+            }
+
+            const action = this.inputBindings.getAction(e);
+
+            // Taking over with the keyboard pauses auto-play; the play key resumes it
+            if (action && action !== 'togglePlay' && this.autoPlayer.isPlaying() && !this.autoPlayer.isPaused()) {
+                this.autoPlayer.pause('user');
+            }
+
+            if (action) {
+                e.preventDefault();
+                this.performAction(action);
+            }
+            if (e.key === 'Escape' && document.fullscreenElement) {
+                document.exitFullscreen();
+            }
+        });
+
+        // Click, wheel and swipe navigation on the viewer
+        this.setupPointerNavigation();
+
+        this.resetBindingsBtn.addEventListener('click', () => {
+            this.inputBindings.reset();
+            this.keyCaptureAction = null;
+            this.renderKeyBindings();
+        });
+
+        // Update fullscreen button text when fullscreen changes
+        const handleFullscreenChange = () => {
+            this.updateFullscreenButton();
+            this.scheduleAutoAdvance();
+            // Re-render current page with new scale when fullscreen changes
+            if (this.pdfHandler.isPDFLoaded()) {
+                setTimeout(() => {
+                    this.renderPage();
+                }, 100); // Small delay to let the viewer resize
+            }
+        };
+        
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+        document.addEventListener('mozfullscreenchange', handleFullscreenChange);
+        document.addEventListener('MSFullscreenChange', handleFullscreenChange);
+    }
+
+    initWebGL() {
+        // Initialize WebGL utilities
+        try {
+            this.webglUtils = new WebGLUtils(this.webglCanvas);
+            if (!this.webglUtils.gl) {
+                this.webglUtils = null;
+                this.initCanvasTransitions();
+                return;
+            }
+            this.webglUtils.setTransitionLibrary(this.transitionLibrary);
+            this.webglUtils.onContextRestored = () => {
+                const entry = this.pageCache.get(this.currentPage);
+                if (entry && !this.isTransitioning) {
+                    this.displayPage(entry);
+                }
+                this.preloadPageTextures();
+            };
+            console.log('WebGL initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize WebGL:', error);
+            this.webglUtils = null;
+            this.initCanvasTransitions();
+        }
+    }
+
+    // Without WebGL pages are drawn on the 2D canvas, which also runs a basic set of transitions
+    initCanvasTransitions() {
+        this.canvasTransitions = new CanvasTransitions(this.pdfCanvas);
+        console.log('WebGL unavailable, using Canvas 2D transitions');
+    }
+
+    // The editor needs WebGL of its own; without it the custom library still plays from bundles
+    initShaderEditor() {
+        if (!this.webglUtils) {
+            this.shaderEditorPanel.style.display = 'none';
+            return;
+        }
+
+        this.shaderEditor = new ShaderEditor(this.shaderEditorElements, this.transitionLibrary, this.customTransitions);
+        this.shaderEditor.getPageImage = async (pageNumber) => {
+            if (!this.pdfHandler.isPDFLoaded() || pageNumber < 1 || pageNumber > this.totalPages) {
+                return null;
+            }
+            const entry = await this.pageCache.getPage(pageNumber);
+            return entry.bitmap;
+        };
+        this.shaderEditor.onLibraryChanged = () => this.refreshTransitionSelects();
+        this.shaderEditor.compile();
+    }
+
+    registerCustomTransitions(shaders) {
+        for (const shader of shaders) {
+            const entry = CustomTransitions.toEntry(shader.name, shader.glsl);
+            if (!this.transitionLibrary.register(entry, 'custom')) {
+                console.warn('Custom transition', shader.name, 'not loaded:', TransitionLibrary.getUnsupportedReason(entry));
+            }
+        }
+    }
+
+    // Rebuild the transition selectors after the library changed, keeping their selections
+    refreshTransitionSelects() {
+        const selects = [this.transitionSelect, this.pageTransitionSelect, this.overlayTransitionSelect];
+        const values = selects.map((select) => select.value);
+
+        this.populateTransitionSelect();
+        this.populateSlideSettingsSelects();
+        selects.forEach((select, i) => {
+            select.value = values[i];
+        });
+
+        // A saved shader may replace one that was compiled before
+        if (this.webglUtils) {
+            this.webglUtils.clearProgramCache();
+        }
+        this.updateSlideSettingsPanel();
+    }
+
+    populateTransitionSelect() {
+        // Library groups are rebuilt, the fixed options stay
+        this.transitionSelect.querySelectorAll('optgroup').forEach((group) => group.remove());
+
+        for (const [namespace, label] of Object.entries(this.transitionLibrary.namespaces)) {
+            const transitions = this.transitionLibrary.list(namespace);
+            if (transitions.length === 0) {
+                continue;
+            }
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+
+            transitions.forEach((transition) => {
+                const option = document.createElement('option');
+                option.value = transition.value;
+                option.textContent = transition.label;
+                group.appendChild(option);
+            });
+
+            this.transitionSelect.appendChild(group);
+        }
+    }
+
+    populateSlideSettingsSelects() {
+        // The per-page and overlay selectors offer every effect of the main selector
+        this.pageTransitionSelect.replaceChildren(this.pageTransitionSelect.options[0]);
+        this.overlayTransitionSelect.replaceChildren();
+        this.easingPresetsList.replaceChildren();
+        for (const child of this.transitionSelect.children) {
+            this.pageTransitionSelect.appendChild(child.cloneNode(true));
+            this.overlayTransitionSelect.appendChild(child.cloneNode(true));
+        }
+
+        Easing.getNames().concat(Easing.EXAMPLES).forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            this.easingPresetsList.appendChild(option);
+        });
+    }
+
+    handlePDFUpload(event) {
+        const file = event.target.files[0];
+        if (file && file.type === 'application/pdf') {
+            console.log('PDF file selected:', file.name);
+            this.openPDF(file);
+        } else {
+            console.error('Please select a valid PDF file');
+        }
+    }
+
+    // Load a PDF and show its first page; a profile given here replaces the stored one
+    openPDF(file, profile = null) {
+        return this.pdfHandler.loadPDF(file).then((result) => {
+            if (result.success) {
+                this.totalPages = result.totalPages;
+                this.currentPage = 1;
+                this.navigation.reset(1);
+                this.pageCache.clear();
+                this.overview.reset();
+                this.linkHistory = [];
+                this.outlineSidebar.load();
+                this.searchPanel.reset();
+                this.annotations.reset();
+                if (profile) {
+                    this.deckProfile = profile;
+                    this.currentTransition = profile.defaults.transition;
+                    this.transitionSelect.value = this.currentTransition;
+                } else {
+                    this.loadDeckProfile(file.name);
+                }
+                this.updatePageInfo();
+                // The editor previews pages once the cache renders at the viewer's size
+                this.renderPage().then(() => {
+                    if (this.shaderEditor) {
+                        this.shaderEditor.setPageCount(this.totalPages);
+                    }
+                });
+            } else {
+                console.error('Failed to load PDF:', result.error);
+            }
+        });
+    }
+
+    loadBundledPresentation() {
+        const settings = this.bundle.settings || {};
+
+        // Restore the viewer settings the bundle was exported with
+        if (settings.notesLayout) {
+            this.notesLayoutSelect.value = settings.notesLayout;
+            this.pdfHandler.setNotesLayout(settings.notesLayout);
+        }
+        if (typeof settings.useEmbeddedTransitions === 'boolean') {
+            this.useEmbeddedCheckbox.checked = settings.useEmbeddedTransitions;
+            this.useEmbeddedTransitions = settings.useEmbeddedTransitions;
+        }
+
+        // A bundle exported while auto-playing plays by itself, e.g. on a lobby screen
+        if (settings.autoPlay) {
+            this.applyAutoPlaySettings(settings.autoPlay);
+        }
+
+        // Custom transitions the deck uses travel with the bundle
+        if (Array.isArray(settings.customTransitions)) {
+            this.registerCustomTransitions(settings.customTransitions);
+            this.refreshTransitionSelects();
+        }
+
+        // A bundle can't fetch its sources again to export itself
+        this.exportBundleBtn.disabled = true;
+
+        const bytes = PresentationBundler.fromBase64(this.bundle.pdf);
+        const file = new File([bytes], this.bundle.fileName, { type: 'application/pdf' });
+        const profile = DeckProfile.fromJSON(this.bundle.profile);
+        console.log('Loading bundled presentation:', this.bundle.fileName);
+        this.openPDF(file, profile).then(() => {
+            if (settings.autoPlay && settings.autoPlay.playing) {
+                this.toggleAutoPlay();
+            }
+        });
+    }
+
+    applyAutoPlaySettings(autoPlay) {
+        if (typeof autoPlay.seconds === 'number') {
+            this.autoPlayer.defaultSeconds = autoPlay.seconds;
+            this.autoPlaySecondsInput.value = autoPlay.seconds;
+        }
+        for (const [key, checkbox] of [['loop', this.autoPlayLoopCheckbox], ['random', this.autoPlayRandomCheckbox],
+            ['pauseOnHover', this.autoPlayHoverCheckbox]]) {
+            if (typeof autoPlay[key] === 'boolean') {
+                this.autoPlayer[key] = autoPlay[key];
+                checkbox.checked = autoPlay[key];
+            }
+        }
+    }
+
+    loadDeckProfile(fileName) {
+        this.deckProfile = DeckProfile.loadFromStorage(fileName, this.totalPages);
+        this.currentTransition = this.deckProfile.defaults.transition;
+        this.transitionSelect.value = this.currentTransition;
+        this.updateSlideSettingsPanel();
+    }
+
+    saveDeckProfile() {
+        if (this.pdfHandler.isPDFLoaded()) {
+            this.deckProfile.saveToStorage();
+        }
+        this.updateSlideSettingsPanel();
+    }
+
+    getTransitionSettings(pageNumber, fromPage = null) {
+        // Settings of the page being entered drive the transition:
+        // explicit page settings, then the overlay settings for builds of the same slide,
+        // then the PDF's /Trans entry, then the deck defaults
+        const override = this.deckProfile.getPageOverride(pageNumber);
+        if (fromPage !== null && this.pdfHandler.isSameSlide(fromPage, pageNumber)) {
+            return DeckProfile.mergeSettings(this.deckProfile.defaults, this.deckProfile.overlay, override);
+        }
+
+        // Parameters of /Trans belong to its transition, like those of the profile
+        let embedded = this.useEmbeddedTransitions ? this.pdfHandler.getPageTransition(pageNumber) : null;
+        if (embedded) {
+            embedded = Object.assign({}, embedded, { params: { [embedded.transition]: embedded.params } });
+        }
+        return DeckProfile.mergeSettings(this.deckProfile.defaults, embedded, override);
+    }
+
+    scheduleAutoAdvance() {
+        this.autoPlayer.schedule(this.getAutoAdvanceSeconds(this.currentPage));
+    }
+
+    // Seconds a page stays up before the next one, or null to wait for the user.
+    // Auto-play times every page: its profile setting, then /Dur, then the profile default,
+    // then the auto-play default. Otherwise, like PDF readers, only /Dur counts, in full screen.
+    getAutoAdvanceSeconds(pageNumber) {
+        const embedded = this.useEmbeddedTransitions ? this.pdfHandler.getPageDisplayDuration(pageNumber) : null;
+        const hasEmbedded = embedded !== null && embedded >= 0;
+
+        if (!this.autoPlayer.isPlaying()) {
+            const isFullscreen = document.fullscreenElement || document.webkitFullscreenElement;
+            return isFullscreen && hasEmbedded ? embedded : null;
+        }
+
+        const override = this.deckProfile.getPageOverride(pageNumber);
+        if (typeof override.advance === 'number') {
+            return override.advance;
+        }
+        if (hasEmbedded) {
+            return embedded;
+        }
+        if (typeof this.deckProfile.defaults.advance === 'number') {
+            return this.deckProfile.defaults.advance;
+        }
+        return this.autoPlayer.defaultSeconds;
+    }
+
+    toggleAutoPlay() {
+        if (!this.pdfHandler.isPDFLoaded()) {
+            return;
+        }
+
+        const wasPlaying = this.autoPlayer.isPlaying();
+        this.autoPlayer.toggle();
+        if (!wasPlaying) {
+            this.scheduleAutoAdvance();
+        }
+    }
+
+    // The page's time is up; auto-play starts over after the last page or stops there
+    advanceAutoPlay() {
+        const next = this.navigation.getTargetPage() + 1;
+        if (next <= this.totalPages) {
+            this.goToPage(next);
+        } else if (this.autoPlayer.isPlaying() && this.autoPlayer.loop) {
+            this.goToPage(1);
+        } else if (this.autoPlayer.isPlaying()) {
+            this.autoPlayer.stop();
+        }
+    }
+
+    updateAutoPlayButton() {
+        const player = this.autoPlayer;
+        this.autoPlayBtn.textContent = !player.isPlaying() ? 'Auto-play' : player.isPaused() ? 'Resume' : 'Pause';
+        this.autoPlayStopBtn.disabled = !player.isPlaying();
+    }
+
+    // Transitions auto-play picks from at random; without WebGL the ones the 2D canvas draws
+    getRandomTransitionChoices() {
+        const namespaces = this.webglUtils ? Object.keys(this.transitionLibrary.namespaces) : ['pdf'];
+        return ['fade', 'slide', 'zoom'].concat(...namespaces.map((namespace) =>
+            this.transitionLibrary.list(namespace).map((entry) => entry.value)));
+    }
+
+    readSlideSettingsPanel() {
+        return {
+            transition: this.pageTransitionSelect.value || undefined,
+            duration: parseInt(this.pageDurationInput.value, 10) || 0,
+            easing: Easing.isValid(this.pageEasingInput.value.trim()) ? this.pageEasingInput.value.trim() : 'linear',
+            hold: parseInt(this.pageHoldInput.value, 10) || 0,
+            overshoot: (parseFloat(this.pageOvershootInput.value) || 0) / 100,
+            advance: this.pageAdvanceInput.value === '' ? null : Math.max(0, parseFloat(this.pageAdvanceInput.value) || 0),
+            params: { [this.paramsTransition]: this.getPanelParams() }
+        };
+    }
+
+    // Parameter values of the panel, including those left at the transition's own defaults
+    getPanelParams() {
+        const values = {};
+        for (const param of this.transitionLibrary.describeParams(this.paramsTransition)) {
+            if (this.editedParams[param.name] !== undefined) {
+                values[param.name] = this.editedParams[param.name];
+            }
+        }
+        return values;
+    }
+
+    // Build the inputs for the parameters of the transition chosen in the panel
+    renderTransitionParams() {
+        const override = this.deckProfile.getPageOverride(this.currentPage);
+        let values;
+        if (this.pageTransitionSelect.value) {
+            // Profile values for that transition: deck defaults, then this page
+            const transition = this.pageTransitionSelect.value;
+            this.paramsTransition = transition;
+            values = Object.assign({}, this.deckProfile.defaults.params[transition],
+                override.params && override.params[transition]);
+        } else {
+            const settings = this.getTransitionSettings(this.currentPage);
+            this.paramsTransition = settings.transition;
+            values = settings.params;
+        }
+
+        const params = this.transitionLibrary.describeParams(this.paramsTransition);
+        this.editedParams = {};
+        this.transitionParamsDiv.innerHTML = '';
+
+        for (const param of params) {
+            this.editedParams[param.name] = values[param.name] !== undefined ? values[param.name] : param.default;
+
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            const label = document.createElement('label');
+            label.textContent = param.label + ':';
+            group.appendChild(label);
+
+            const inputs = this.createParamInputs(param, this.editedParams[param.name], (value) => {
+                this.editedParams[param.name] = value;
+                this.playTransitionPreview();
+            });
+            group.append(...inputs);
+            this.transitionParamsDiv.appendChild(group);
+        }
+    }
+
+    // Inputs for one parameter: a list of choices, a checkbox, a slider, a colour or a number per component
+    createParamInputs(param, value, onChange) {
+        if (param.options) {
+            const select = document.createElement('select');
+            for (const [optionValue, optionLabel] of Object.entries(param.options)) {
+                select.add(new Option(optionLabel, optionValue));
+            }
+            select.value = String(value);
+            select.addEventListener('change', () => onChange(Number(select.value)));
+            return [select];
+        }
+
+        if (param.type === 'bool') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(value);
+            checkbox.addEventListener('change', () => onChange(checkbox.checked));
+            return [checkbox];
+        }
+
+        if (param.type === 'float' || param.type === 'int') {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step;
+            slider.value = value;
+            const output = document.createElement('span');
+            output.className = 'param-value';
+            output.textContent = value;
+            slider.addEventListener('input', () => {
+                output.textContent = slider.value;
+            });
+            slider.addEventListener('change', () => onChange(Number(slider.value)));
+            return [slider, output];
+        }
+
+        const components = Array.isArray(value) ? value.slice() : [];
+        if (param.type === 'vec3' && /colou?r/i.test(param.name)) {
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = '#' + components.map((c) => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+            picker.addEventListener('change', () => onChange(WebGLUtils.parseColor(picker.value).slice(0, 3)));
+            return [picker];
+        }
+
+        // Vectors: one number per component
+        return components.map((component, index) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = param.type.startsWith('i') ? 1 : 0.05;
+            input.value = component;
+            input.addEventListener('change', () => {
+                components[index] = Number(input.value) || 0;
+                onChange(components.slice());
+            });
+            return input;
+        });
+    }
+
+    // Play the panel's transition from the current to the next page (or sample cards)
+    playTransitionPreview() {
+        if (!this.transitionPreview) {
+            return;
+        }
+
+        const settings = this.readSlideSettingsPanel();
+        settings.transition = this.paramsTransition;
+        settings.params = this.editedParams;
+
+        const fromEntry = this.pageCache.get(this.currentPage);
+        const toEntry = this.pageCache.get(this.currentPage + 1);
+        this.transitionPreview.play(settings, fromEntry && fromEntry.bitmap, toEntry && toEntry.bitmap,
+            this.deckProfile.background);
+    }
+
+    applyPageSettingsFromPanel() {
+        this.deckProfile.setPageSettings(this.currentPage, this.readSlideSettingsPanel());
+        this.saveDeckProfile();
+        console.log('Page', this.currentPage, 'settings:', this.getTransitionSettings(this.currentPage));
+    }
+
+    setDefaultSettingsFromPanel() {
+        const settings = this.readSlideSettingsPanel();
+        if (!settings.transition) {
+            delete settings.transition;
+        } else {
+            this.currentTransition = settings.transition;
+            this.transitionSelect.value = settings.transition;
+        }
+
+        this.deckProfile.setDefaults(settings);
+        this.deckProfile.clearPageSettings(this.currentPage);
+        this.saveDeckProfile();
+    }
+
+    updateSlideSettingsPanel() {
+        const settings = this.getTransitionSettings(this.currentPage);
+        const override = this.deckProfile.getPageOverride(this.currentPage);
+
+        this.settingsPageSpan.textContent = this.currentPage;
+        this.pageTransitionSelect.value = override.transition || '';
+        this.pageDurationInput.value = settings.duration;
+        this.pageEasingInput.value = settings.easing;
+        this.pageEasingInput.setCustomValidity('');
+        this.pageHoldInput.value = settings.hold || 0;
+        this.pageOvershootInput.value = Math.round((settings.overshoot || 0) * 100);
+        this.pageAdvanceInput.value = typeof settings.advance === 'number' ? settings.advance : '';
+        this.transitionDurationInput.value = this.deckProfile.defaults.duration;
+        this.overlayTransitionSelect.value = this.deckProfile.overlay.transition;
+        this.overlayDurationInput.value = this.deckProfile.overlay.duration;
+        this.renderTransitionParams();
+        this.stageBackgroundInput.value = this.deckProfile.background;
+        this.updateEmbeddedTransitionInfo();
+
+        this.renderPageSettingsTable();
+    }
+
+    updateEmbeddedTransitionInfo() {
+        const embedded = this.pdfHandler.getPageTransition(this.currentPage);
+        const seconds = this.pdfHandler.getPageDisplayDuration(this.currentPage);
+        const parts = [];
+
+        if (embedded) {
+            parts.push(this.getTransitionLabel(embedded.transition) + ', ' + embedded.duration + ' ms');
+        }
+        if (seconds !== null) {
+            parts.push('advance after ' + seconds + ' s');
+        }
+
+        this.embeddedInfo.textContent = parts.length > 0 ?
+            'From PDF: ' + parts.join(', ') + (this.useEmbeddedTransitions ? '' : ' (ignored)') : '';
+    }
+
+    getTransitionLabel(value) {
+        const option = Array.from(this.transitionSelect.options).find((o) => o.value === value);
+        return option ? option.textContent : value;
+    }
+
+    renderPageSettingsTable() {
+        this.pageSettingsTableBody.innerHTML = '';
+
+        const pageNumbers = Array.from(this.deckProfile.pages.keys()).sort((a, b) => a - b);
+        if (pageNumbers.length === 0) {
+            const row = this.pageSettingsTableBody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 5;
+            cell.textContent = 'All pages use the deck default (' +
+                this.getTransitionLabel(this.deckProfile.defaults.transition) + ').';
+            return;
+        }
+
+        pageNumbers.forEach((pageNumber) => {
+            const settings = this.getTransitionSettings(pageNumber);
+            const row = this.pageSettingsTableBody.insertRow();
+            row.classList.toggle('current', pageNumber === this.currentPage);
+
+            row.insertCell().textContent = pageNumber;
+            row.insertCell().textContent = this.getTransitionLabel(settings.transition);
+            row.insertCell().textContent = settings.duration + ' ms' +
+                (typeof settings.advance === 'number' ? ', advance after ' + settings.advance + ' s' : '');
+            row.insertCell().textContent = settings.easing +
+                (settings.hold ? ', hold ' + settings.hold + ' ms' : '') +
+                (settings.overshoot ? ', overshoot ' + Math.round(settings.overshoot * 100) + '%' : '');
+
+            const actions = row.insertCell();
+            const goButton = document.createElement('button');
+            goButton.textContent = 'Go';
+            goButton.addEventListener('click', () => this.goToPage(pageNumber));
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                this.deckProfile.clearPageSettings(pageNumber);
+                this.saveDeckProfile();
+            });
+            actions.append(goButton, ' ', removeButton);
+        });
+    }
+
+    exportDeckProfile() {
+        const json = JSON.stringify(this.deckProfile, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const baseName = (this.deckProfile.name || 'deck').replace(/\.pdf$/i, '');
+        this.downloadBlob(blob, baseName + '.transitions.json');
+    }
+
+    importDeckProfile(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        file.text().then((text) => {
+            const profile = DeckProfile.fromJSON(JSON.parse(text));
+
+            // Keep the profile attached to the currently loaded PDF
+            if (this.pdfHandler.isPDFLoaded()) {
+                if (profile.totalPages && profile.totalPages !== this.totalPages) {
+                    console.warn('Deck profile was made for', profile.totalPages, 'pages, PDF has', this.totalPages);
+                }
+                profile.name = this.deckProfile.name;
+                profile.totalPages = this.totalPages;
+            }
+
+            this.deckProfile = profile;
+            this.currentTransition = profile.defaults.transition;
+            this.transitionSelect.value = this.currentTransition;
+            this.saveDeckProfile();
+            console.log('Deck profile imported from', file.name);
+        }).catch((error) => {
+            console.error('Failed to import deck profile:', error);
+        }).finally(() => {
+            event.target.value = '';
+        });
+    }
+
+    async exportVideo() {
+        if (!this.pdfHandler.isPDFLoaded()) {
+            console.error('No PDF loaded');
+            return;
+        }
+
+        if (!VideoExporter.isSupported()) {
+            this.exportStatus.textContent = 'Video export is not supported by this browser';
+            return;
+        }
+
+        this.videoExporter = new VideoExporter(
+            this.pdfHandler,
+            this.transitionLibrary,
+            (page, fromPage) => this.getTransitionSettings(page, fromPage)
+        );
+        this.exportVideoBtn.textContent = 'Cancel Export';
+        this.exportStatus.textContent = 'Rendering...';
+
+        try {
+            const blob = await this.videoExporter.export({
+                height: parseInt(this.exportHeightSelect.value, 10),
+                fps: parseInt(this.exportFpsSelect.value, 10),
+                holdSeconds: parseFloat(this.exportHoldInput.value) || 5,
+                useDisplayDurations: this.exportUseDurCheckbox.checked,
+                background: this.deckProfile.background,
+                onProgress: (fraction) => {
+                    this.exportProgress.value = fraction;
+                }
+            });
+
+            const extension = blob.type.includes('mp4') ? '.mp4' : '.webm';
+            this.downloadBlob(blob, (this.deckProfile.name || 'deck').replace(/\.pdf$/i, '') + extension);
+
+            this.exportStatus.textContent = 'Exported ' + (blob.size / 1048576).toFixed(1) + ' MB';
+            console.log('Video exported:', blob.size, 'bytes');
+        } catch (error) {
+            console.error('Video export failed:', error);
+            this.exportStatus.textContent = error.message;
+        } finally {
+            this.videoExporter = null;
+            this.exportVideoBtn.textContent = 'Export Video';
+            this.exportProgress.value = 0;
+        }
+    }
+
+    async exportPresentation() {
+        if (!this.pdfHandler.isPDFLoaded()) {
+            console.error('No PDF loaded');
+            return;
+        }
+
+        if (!PresentationBundler.isSupported()) {
+            this.exportStatus.textContent = 'Offline export needs the app to be served over HTTP';
+            return;
+        }
+
+        const fileName = this.deckProfile.name || 'deck.pdf';
+        this.exportBundleBtn.disabled = true;
+        this.exportStatus.textContent = 'Bundling...';
+
+        try {
+            const blob = await new PresentationBundler().build({
+                pdfData: this.pdfHandler.pdfData,
+                fileName: fileName,
+                profile: this.deckProfile.toJSON(),
+                settings: {
+                    notesLayout: this.pdfHandler.notesLayout,
+                    useEmbeddedTransitions: this.useEmbeddedTransitions,
+                    customTransitions: this.customTransitions.list(),
+                    autoPlay: {
+                        playing: this.autoPlayer.isPlaying(),
+                        seconds: this.autoPlayer.defaultSeconds,
+                        loop: this.autoPlayer.loop,
+                        random: this.autoPlayer.random,
+                        pauseOnHover: this.autoPlayer.pauseOnHover
+                    }
+                }
+            });
+
+            this.downloadBlob(blob, fileName.replace(/\.pdf$/i, '') + '.html');
+
+            this.exportStatus.textContent = 'Exported ' + (blob.size / 1048576).toFixed(1) + ' MB';
+            console.log('Presentation bundle exported:', blob.size, 'bytes');
+        } catch (error) {
+            console.error('Presentation export failed:', error);
+            this.exportStatus.textContent = error.message;
+        } finally {
+            this.exportBundleBtn.disabled = false;
+        }
+    }
+
+    // Navigation goes through the navigation controller, which merges requests made
+    // during a transition; relative moves count from the page navigation is heading to
+    goToPage(pageNumber) {
+        if (!this.pdfHandler.isPDFLoaded() || pageNumber < 1 || pageNumber > this.totalPages) {
+            return;
+        }
+
+        this.navigation.request(pageNumber);
+    }
+
+    goToPreviousPage() {
+        this.goToPage(this.navigation.getTargetPage() - 1);
+    }
+
+    goToNextPage() {
+        this.goToPage(this.navigation.getTargetPage() + 1);
+    }
+
+    // Go to the first page of the next logical slide
+    goToNextSlide() {
+        const slide = this.pdfHandler.getSlide(this.pdfHandler.getSlideIndex(this.navigation.getTargetPage()) + 1);
+        if (slide) {
+            this.goToPage(slide.pages[0]);
+        }
+    }
+
+    // Go to the fully built (last) page of the previous logical slide
+    goToPreviousSlide() {
+        const slide = this.pdfHandler.getSlide(this.pdfHandler.getSlideIndex(this.navigation.getTargetPage()) - 1);
+        if (slide) {
+            this.goToPage(slide.pages[slide.pages.length - 1]);
+        }
+    }
+
+    performAction(action) {
+        // While the screen is blanked, any other action only brings the slide back
+        if (this.blankMode && action !== 'blackScreen' && action !== 'whiteScreen' && action !== 'laserPointer') {
+            this.setBlankScreen(null);
+            return;
+        }
+
+        switch (action) {
+            case 'nextPage':
+                this.goToNextPage();
+                break;
+            case 'previousPage':
+                this.goToPreviousPage();
+                break;
+            case 'nextSlide':
+                this.goToNextSlide();
+                break;
+            case 'previousSlide':
+                this.goToPreviousSlide();
+                break;
+            case 'firstPage':
+                this.goToPage(1);
+                break;
+            case 'lastPage':
+                this.goToPage(this.totalPages);
+                break;
+            case 'overview':
+                this.toggleOverview();
+                break;
+            case 'togglePlay':
+                this.toggleAutoPlay();
+                break;
+            case 'outline':
+                this.outlineSidebar.toggle();
+                break;
+            case 'search':
+                this.searchPanel.toggle();
+                break;
+            case 'pen':
+                this.setAnnotationTool('pen');
+                break;
+            case 'highlighter':
+                this.setAnnotationTool('highlighter');
+                break;
+            case 'undoStroke':
+                this.annotations.undo(this.currentPage);
+                break;
+            case 'blackScreen':
+                this.setBlankScreen(this.blankMode === 'black' ? null : 'black');
+                break;
+            case 'whiteScreen':
+                this.setBlankScreen(this.blankMode === 'white' ? null : 'white');
+                break;
+            case 'laserPointer':
+                this.setLaserPointer(!this.laserActive);
+                break;
+            case 'fullscreen':
+                this.toggleFullscreen();
+                break;
+            case 'skipTransition':
+                this.navigation.cancel();
+                break;
+        }
+    }
+
+    // Typing a page number, then Enter, jumps to that page
+    handlePageNumberKey(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) {
+            return false;
+        }
+
+        if (/^[0-9]$/.test(e.key)) {
+            this.pageNumberInput += e.key;
+        } else if (this.pageNumberInput && e.key === 'Backspace') {
+            this.pageNumberInput = this.pageNumberInput.slice(0, -1);
+        } else if (this.pageNumberInput && e.key === 'Enter') {
+            const pageNumber = parseInt(this.pageNumberInput, 10);
+            this.pageNumberInput = '';
+            this.setBlankScreen(null);
+            this.goToPage(pageNumber);
+        } else {
+            return false;
+        }
+
+        // Forget a half-typed number after a few seconds
+        clearTimeout(this.pageNumberTimer);
+        this.pageNumberTimer = setTimeout(() => {
+            this.pageNumberInput = '';
+            this.pageJumpIndicator.textContent = '';
+        }, 3000);
+        this.pageJumpIndicator.textContent = this.pageNumberInput ? 'Go to ' + this.pageNumberInput : '';
+        return true;
+    }
+
+    setBlankScreen(mode) {
+        this.blankMode = mode;
+
+        // With WebGL the slide surface is blanked on the GPU, so the laser pointer still shows on it,
+        // and the overlay element behind it covers the letterbox margins. Without WebGL the overlay
+        // covers everything.
+        if (this.webglUtils) {
+            this.webglUtils.setBlank(mode ? (mode === 'black' ? '#000000' : '#ffffff') : null);
+        }
+        this.blankScreen.className = 'blank-screen' + (mode ? ' ' + mode : '') + (this.webglUtils ? ' behind-page' : '');
+
+        // Links, search matches and strokes being drawn don't show through either
+        this.viewer.classList.toggle('blanked', !!mode);
+    }
+
+    // Hot zones for the links of the page on screen, sized like the page
+    async updateLinks() {
+        const pageNumber = this.currentPage;
+        const size = this.shownSize;
+        this.linkLayer.clear();
+
+        const links = await this.pdfHandler.getPageLinks(pageNumber);
+        if (pageNumber === this.currentPage && size === this.shownSize && !this.isTransitioning) {
+            this.linkLayer.show(links, size.width, size.height, (page) => this.pdfHandler.getPageLabel(page));
+        }
+    }
+
+    // Text of the page on screen when it is selectable, or when it has search matches to mark
+    async updateTextLayer() {
+        const pageNumber = this.currentPage;
+        const size = this.shownSize;
+        this.textLayer.clear();
+
+        const highlights = this.searchPanel.getPageMatches(pageNumber);
+        if (!size || (!this.selectableTextInput.checked && highlights.length === 0)) {
+            return;
+        }
+
+        const pageText = await this.pdfHandler.getPageText(pageNumber);
+        if (pageNumber === this.currentPage && size === this.shownSize && !this.isTransitioning) {
+            this.textLayer.show(pageText, size.width, size.height, highlights);
+        }
+    }
+
+    // Go to the page of a search match, through its transition; the match is marked on arrival
+    showSearchMatch(match) {
+        if (match.page !== this.navigation.getTargetPage()) {
+            this.jumpToPage(match.page);
+        } else if (!this.isTransitioning) {
+            this.updateTextLayer();
+        }
+    }
+
+    followLink(link) {
+        if (link.page) {
+            this.jumpToPage(link.page);
+        } else if (link.action) {
+            this.runNamedAction(link.action);
+        }
+    }
+
+    // Jumps (links, contents) can be retraced with a GoBack link
+    jumpToPage(pageNumber) {
+        const fromPage = this.navigation.getTargetPage();
+        if (pageNumber !== fromPage) {
+            this.linkHistory.push(fromPage);
+        }
+        this.goToPage(pageNumber);
+    }
+
+    // Named actions of link annotations, e.g. Beamer's navigation symbols
+    runNamedAction(action) {
+        switch (action) {
+            case 'NextPage':
+                this.goToNextPage();
+                break;
+            case 'PrevPage':
+                this.goToPreviousPage();
+                break;
+            case 'FirstPage':
+                this.goToPage(1);
+                break;
+            case 'LastPage':
+                this.goToPage(this.totalPages);
+                break;
+            case 'GoBack':
+                if (this.linkHistory.length > 0) {
+                    this.goToPage(this.linkHistory.pop());
+                }
+                break;
+            case 'FullScreen':
+                this.toggleFullscreen();
+                break;
+            default:
+                console.log('Unsupported named action:', action);
+        }
+    }
+
+    toggleOverview() {
+        if (this.overview.isOpen()) {
+            this.overview.close();
+        } else if (this.pdfHandler.isPDFLoaded()) {
+            this.overview.open(this.currentPage);
+        }
+    }
+
+    // Zoom from the chosen grid cell into the page, then carry on as after any page change.
+    // Navigation during the zoom waits for it, see renderPageWithTransition().
+    zoomToOverviewPage(pageNumber, thumbnail) {
+        this.overviewZoom = this.playOverviewZoom(pageNumber, thumbnail).finally(() => {
+            this.overviewZoom = null;
+        });
+        return this.overviewZoom;
+    }
+
+    async playOverviewZoom(pageNumber, thumbnail) {
+        const fromPage = this.currentPage;
+        let entry = null;
+        try {
+            entry = await this.pageCache.getPage(pageNumber);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error rendering page ' + pageNumber + ':', error);
+            }
+        }
+
+        // The chosen page is the target from here, so next and previous during the zoom count from it
+        this.navigationDirection = pageNumber >= fromPage ? 1 : -1;
+        this.navigation.reset(pageNumber);
+        this.currentPage = pageNumber;
+
+        if (entry && thumbnail && this.webglUtils && !this.isTransitioning && this.overview.isOpen()) {
+            // The zoom covers the whole viewer; displayPage shrinks the canvas to the page again
+            const viewerRect = this.viewer.getBoundingClientRect();
+            const cellRect = thumbnail.getBoundingClientRect();
+            const dpr = window.devicePixelRatio || 1;
+            const grid = this.overview.snapshot(viewerRect, dpr);
+            this.webglUtils.resize(grid.width, grid.height);
+            this.webglCanvas.style.width = viewerRect.width + 'px';
+            this.webglCanvas.style.height = viewerRect.height + 'px';
+            this.webglCanvas.style.display = 'block';
+
+            this.isTransitioning = true;
+            this.linkLayer.clear();
+            this.textLayer.clear();
+            this.annotations.hide();
+            const page = this.annotations.bake(pageNumber, entry.bitmap, entry.key);
+            const zoom = this.webglUtils.performTransition(grid, page.image, 'builtin:overview', OverviewGrid.ZOOM_DURATION, 1, {
+                easing: 'ease-in-out',
+                params: {
+                    cell: [
+                        (cellRect.left - viewerRect.left) / viewerRect.width,
+                        (viewerRect.bottom - cellRect.bottom) / viewerRect.height,
+                        cellRect.width / viewerRect.width,
+                        cellRect.height / viewerRect.height
+                    ]
+                },
+                fromRect: [0, 0, 1, 1],
+                toRect: WebGLUtils.fitRect(entry.width, entry.height, viewerRect.width, viewerRect.height),
+                background: OverviewGrid.BACKGROUND,
+                toKey: page.key
+            });
+            this.overview.close();
+            await zoom;
+            this.isTransitioning = false;
+        } else {
+            this.overview.close();
+        }
+
+        // Navigation during the zoom moved on; it continues from this page once it is shown
+        this.currentPage = pageNumber;
+        return this.renderPage();
+    }
+
+    // The laser pointer is drawn over the slide by WebGL
+    setLaserPointer(active) {
+        if (!this.webglUtils) {
+            console.warn('The laser pointer needs WebGL');
+            return;
+        }
+        this.laserActive = active;
+        this.viewer.classList.toggle('laser-active', active);
+        if (active) {
+            this.annotations.setTool(null);
+        } else {
+            this.webglUtils.setPointer(null);
+        }
+        this.updateAnnotationButtons();
     }
 
-    setupEventListeners() {
-        // PDF upload handler
-        this.pdfUpload.addEventListener('change', (e) => {
-            this.handlePDFUpload(e);
-        });
+    // Pick up the pen or highlighter, or put it down when it is already in hand
+    setAnnotationTool(tool) {
+        const active = this.annotations.tool === tool ? null : tool;
+        if (active && this.laserActive) {
+            this.setLaserPointer(false);
+        }
+        this.annotations.setTool(active);
+        if (active) {
+            this.annotationColorInput.value = this.annotations.colors[active];
+        }
+        this.updateAnnotationButtons();
+    }
 
-        // Navigation handlers
-        this.prevButton.addEventListener('click', () => {
-            this.goToPreviousPage();
-        });
+    updateAnnotationButtons() {
+        this.penBtn.classList.toggle('active', this.annotations.tool === 'pen');
+        this.highlighterBtn.classList.toggle('active', this.annotations.tool === 'highlighter');
+        this.laserBtn.classList.toggle('active', this.laserActive);
+    }
 
-        this.nextButton.addEventListener('click', () => {
-            this.goToNextPage();
+    // Show the page again with its new strokes baked in, here and in the presenter window
+    onAnnotationsChange(pageNumber) {
+        const entry = this.pageCache.get(this.currentPage);
+        if (pageNumber === this.currentPage && entry && !this.isTransitioning) {
+            this.displayPage(entry);
+        }
+        this.sendPresenterSlides()
+            .catch((error) => console.error('Error sending slides to the presenter:', error));
+    }
+
+    // A page rendered for export, with its strokes drawn in
+    async renderAnnotatedPage(pageNumber) {
+        const dpr = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        await this.pdfHandler.renderPage(pageNumber, canvas, PDFTransitionsApp.ANNOTATION_EXPORT_SCALE / dpr, 'slide',
+            { priority: PDFHandler.PRIORITY.EXPORT });
+        this.annotations.drawStrokes(canvas.getContext('2d'), pageNumber, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // Some browsers start the download after click() returns, so the URL has to outlive it
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), PDFTransitionsApp.DOWNLOAD_URL_LIFETIME);
+    }
+
+    async exportAnnotatedPNG() {
+        if (!this.pdfHandler.isPDFLoaded()) {
+            console.error('No PDF loaded');
+            return;
+        }
+
+        try {
+            const pageNumber = this.currentPage;
+            const canvas = await this.renderAnnotatedPage(pageNumber);
+            const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+            this.downloadBlob(blob, (this.deckProfile.name || 'deck').replace(/\.pdf$/i, '') + '-page-' + pageNumber + '.png');
+        } catch (error) {
+            console.error('PNG export failed:', error);
+            this.exportStatus.textContent = error.message;
+        }
+    }
+
+    // Every page as an image with its strokes; the text of the original is not kept
+    async exportAnnotatedPDF() {
+        if (!this.pdfHandler.isPDFLoaded()) {
+            console.error('No PDF loaded');
+            return;
+        }
+
+        this.exportAnnotatedPdfBtn.disabled = true;
+        this.exportStatus.textContent = 'Rendering pages...';
+
+        try {
+            const writer = new ImagePDFWriter();
+            const pageCount = this.pdfHandler.getPageCount();
+            for (let page = 1; page <= pageCount; page++) {
+                const size = await this.pdfHandler.getPageDimensions(page, 1.0);
+                const canvas = await this.renderAnnotatedPage(page);
+                const jpeg = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', PDFTransitionsApp.ANNOTATION_EXPORT_QUALITY));
+                writer.addPage(new Uint8Array(await jpeg.arrayBuffer()), canvas.width, canvas.height, size.width, size.height);
+                this.exportProgress.value = page / pageCount;
+            }
+
+            const blob = writer.finalize();
+            this.downloadBlob(blob, (this.deckProfile.name || 'deck').replace(/\.pdf$/i, '') + '-annotated.pdf');
+            this.exportStatus.textContent = 'Exported ' + (blob.size / 1048576).toFixed(1) + ' MB';
+        } catch (error) {
+            console.error('Annotated PDF export failed:', error);
+            this.exportStatus.textContent = error.message;
+        } finally {
+            this.exportAnnotatedPdfBtn.disabled = false;
+            this.exportProgress.value = 0;
+        }
+    }
+
+    // The panels over the viewer take their own clicks, scrolling and touches
+    isOverPanel(e) {
+        return Boolean(e.target.closest(PDFTransitionsApp.VIEWER_PANELS));
+    }
+
+    setupPointerNavigation() {
+        // Click to advance, Shift+click to go back
+        this.viewer.addEventListener('click', (e) => {
+            if (this.isOverPanel(e)) {
+                return;
+            }
+            if (this.inputBindings.isPointerEnabled('click') && this.pdfHandler.isPDFLoaded()) {
+                this.performAction(e.shiftKey ? 'previousPage' : 'nextPage');
+            }
         });
 
-        // Transition selector handler
-        this.transitionSelect.addEventListener('change', (e) => {
-            this.currentTransition = e.target.value;
-            console.log('Transition changed to:', this.currentTransition);
+        // Auto-play holds the page while the mouse is over it
+        this.viewer.addEventListener('mouseenter', () => {
+            if (this.autoPlayer.isPlaying() && this.autoPlayer.pauseOnHover) {
+                this.autoPlayer.pause('hover');
+            }
         });
 
-        // Fullscreen button handler
-        this.fullscreenBtn.addEventListener('click', () => {
-            this.toggleFullscreen();
+        // The laser pointer follows the mouse over the slide
+        this.viewer.addEventListener('mousemove', (e) => {
+            if (this.laserActive && !this.isOverPanel(e)) {
+                const rect = this.webglCanvas.getBoundingClientRect();
+                this.webglUtils.setPointer({
+                    x: (e.clientX - rect.left) / rect.width,
+                    y: 1 - (e.clientY - rect.top) / rect.height
+                });
+            }
         });
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-                this.goToNextPage();
+        this.viewer.addEventListener('mouseleave', () => {
+            this.autoPlayer.resume('hover');
+            if (this.laserActive) {
+                this.webglUtils.setPointer(null);
             }
-            if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
-                this.goToPreviousPage();
+        });
+
+        // One page per wheel gesture: scrolling (and trackpad momentum) keeps extending the quiet period
+        this.viewer.addEventListener('wheel', (e) => {
+            if (!this.inputBindings.isPointerEnabled('wheel') || !this.pdfHandler.isPDFLoaded() || e.deltaY === 0 ||
+                this.isOverPanel(e)) {
+                return;
             }
-            if (e.key === 'f' || e.key === 'F') {
-                this.toggleFullscreen();
+            e.preventDefault();
+
+            const now = Date.now();
+            if (now - this.lastWheelTime > 300) {
+                this.performAction(e.deltaY > 0 ? 'nextPage' : 'previousPage');
             }
-            if (e.key === 'Escape' && document.fullscreenElement) {
-                document.exitFullscreen();
+            this.lastWheelTime = now;
+        }, { passive: false });
+
+        // Horizontal swipes turn pages
+        this.viewer.addEventListener('touchstart', (e) => {
+            const touch = e.touches[0];
+            this.touchStart = e.touches.length === 1 && !this.isOverPanel(e) ? { x: touch.clientX, y: touch.clientY } : null;
+        }, { passive: true });
+
+        this.viewer.addEventListener('touchend', (e) => {
+            if (!this.touchStart || !this.inputBindings.isPointerEnabled('swipe')) {
+                return;
             }
-        });
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - this.touchStart.x;
+            const dy = touch.clientY - this.touchStart.y;
+            this.touchStart = null;
 
-        // Update fullscreen button text when fullscreen changes
-        const handleFullscreenChange = () => {
-            this.updateFullscreenButton();
-            // Re-render current page with new scale when fullscreen changes
-            if (this.pdfHandler.isPDFLoaded()) {
-                setTimeout(() => {
-                    this.renderPage();
-                }, 100); // Small delay to let the viewer resize
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                this.performAction(dx < 0 ? 'nextPage' : 'previousPage');
             }
-        };
-        
-        document.addEventListener('fullscreenchange', handleFullscreenChange);
-        document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
-        document.addEventListener('mozfullscreenchange', handleFullscreenChange);
-        document.addEventListener('MSFullscreenChange', handleFullscreenChange);
+        });
     }
 
-    initWebGL() {
-        // Initialize WebGL utilities
-        try {
-            this.webglUtils = new WebGLUtils(this.webglCanvas);
-            console.log('WebGL initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize WebGL:', error);
+    // The next key pressed (with its modifiers) is bound to the action being edited
+    captureKey(e) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return;
         }
+        e.preventDefault();
+
+        this.inputBindings.addKey(this.keyCaptureAction, InputBindings.describe(e));
+        this.keyCaptureAction = null;
+        this.renderKeyBindings();
     }
 
-    handlePDFUpload(event) {
-        const file = event.target.files[0];
-        if (file && file.type === 'application/pdf') {
-            console.log('PDF file selected:', file.name);
-            this.pdfHandler.loadPDF(file).then((result) => {
-                if (result.success) {
-                    this.totalPages = result.totalPages;
-                    this.currentPage = 1;
-                    this.updatePageInfo();
-                    // Show the PDF canvas
-                    this.pdfCanvas.style.display = 'block';
-                    this.renderPage();
-                } else {
-                    console.error('Failed to load PDF:', result.error);
-                }
+    renderKeyBindings() {
+        this.keyBindingsTableBody.innerHTML = '';
+
+        for (const [action, label] of Object.entries(InputBindings.ACTIONS)) {
+            const row = this.keyBindingsTableBody.insertRow();
+            row.classList.toggle('current', action === this.keyCaptureAction);
+
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = action === this.keyCaptureAction ?
+                'Press a key...' : this.inputBindings.getKeys(action).join(', ') || '-';
+
+            const actions = row.insertCell();
+            const addButton = document.createElement('button');
+            addButton.textContent = 'Add Key';
+            addButton.addEventListener('click', (e) => {
+                e.currentTarget.blur();
+                this.keyCaptureAction = action;
+                this.renderKeyBindings();
             });
-        } else {
-            console.error('Please select a valid PDF file');
+            const clearButton = document.createElement('button');
+            clearButton.textContent = 'Clear';
+            clearButton.addEventListener('click', () => {
+                this.inputBindings.clearKeys(action);
+                this.renderKeyBindings();
+            });
+            actions.append(addButton, ' ', clearButton);
         }
-    }
 
-    goToPreviousPage() {
-        if (this.currentPage > 1 && !this.isTransitioning) {
-            this.currentPage--;
-            this.renderPageWithTransition(-1); // -1 for backward
+        this.pointerBindingsDiv.innerHTML = '';
+        for (const [input, label] of Object.entries(InputBindings.POINTER_INPUTS)) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = 'pointer-' + input;
+            checkbox.checked = this.inputBindings.isPointerEnabled(input);
+            checkbox.addEventListener('change', () => {
+                this.inputBindings.setPointerEnabled(input, checkbox.checked);
+            });
+
+            const checkboxLabel = document.createElement('label');
+            checkboxLabel.htmlFor = checkbox.id;
+            checkboxLabel.textContent = label;
+            this.pointerBindingsDiv.append(checkbox, checkboxLabel);
         }
     }
 
-    goToNextPage() {
-        if (this.currentPage < this.totalPages && !this.isTransitioning) {
-            this.currentPage++;
-            this.renderPageWithTransition(1); // 1 for forward
-        }
+    // Called by the navigation controller for every page change
+    showPage(pageNumber, fromPage, signal) {
+        this.currentPage = pageNumber;
+        return this.renderPageWithTransition(pageNumber > fromPage ? 1 : -1, fromPage, signal);
     }
 
     renderPage() {
         if (!this.pdfHandler.isPDFLoaded()) {
             console.error('No PDF loaded');
-            return;
+            return Promise.resolve();
         }
         
         this.updatePageInfo();
         console.log('Rendering page:', this.currentPage);
         
         // Calculate optimal scale to fit viewer
-        this.calculateOptimalScale(this.currentPage).then(() => {
-            // Render the current page to the PDF canvas
-            this.pdfHandler.renderPage(this.currentPage, this.pdfCanvas)
-                .then((result) => {
-                    if (result && result.success) {
-                        console.log('Page rendered successfully');
-                        // Store current page canvas for transitions
-                        this.currentPageCanvas = this.pdfCanvas;
-                        // Pre-render adjacent pages for smooth navigation
-                        this.prerenderAdjacentPages();
-                    } else {
-                        console.error('Failed to render page');
-                    }
-                })
-                .catch((error) => {
+        const pageNumber = this.currentPage;
+        return this.calculateOptimalScale(pageNumber)
+            .then(() => this.pageCache.getPage(pageNumber, { placeholder: true }))
+            .then((entry) => {
+                // Show the page unless navigation moved on meanwhile
+                if (pageNumber === this.currentPage) {
+                    this.displayPage(entry);
+                    this.onPageShown();
+                }
+            })
+            .catch((error) => {
+                // Cancelled renders are replaced by a newer one, e.g. after a resize
+                if (error.name !== 'AbortError') {
                     console.error('Error rendering page:', error);
-                });
-        });
+                }
+            });
+    }
+
+    // Called once the current page is displayed
+    onPageShown() {
+        this.scheduleAutoAdvance();
+
+        // Render ahead in the direction of travel, then share the pages with the presenter
+        this.pageCache.prefetch(this.currentPage, this.navigationDirection)
+            .then(() => {
+                this.preloadPageTextures();
+                return this.sendPresenterSlides();
+            })
+            .catch((error) => console.error('Error sending slides to the presenter:', error));
+    }
+
+    // A fast-forwarded page is followed by the next navigation right away; the page navigation
+    // ends on gets its timing, prefetch and presenter images even when its transition was skipped
+    onPageShownIfTarget() {
+        if (this.currentPage === this.navigation.getTargetPage()) {
+            this.onPageShown();
+        }
+    }
+
+    // Keep the current and adjacent pages uploaded, so transitions between them start at once
+    preloadPageTextures() {
+        if (!this.webglUtils || !this.pdfHandler.isPDFLoaded()) {
+            return;
+        }
+
+        const keys = [this.shownKey];
+        for (const page of [this.currentPage, this.currentPage + 1, this.currentPage - 1]) {
+            const entry = this.pageCache.get(page);
+            if (entry && entry.full && entry.bitmap.width > 0) {
+                const image = this.annotations.bake(page, entry.bitmap, entry.key);
+                this.webglUtils.preloadTexture(image.key, image.image);
+                keys.push(image.key);
+            }
+        }
+        this.webglUtils.retainTextures(keys);
     }
 
     async calculateOptimalScale(pageNumber) {
@@ -197,9 +1814,8 @@ class PDFTransitionsApp {
         const viewerWidth = this.viewer.clientWidth;
         const viewerHeight = this.viewer.clientHeight;
         
-        // Get page dimensions at scale 1.0
-        const page = await this.pdfHandler.pdfDoc.getPage(pageNumber);
-        const viewport = page.getViewport({ scale: 1.0 });
+        // Get slide dimensions at scale 1.0 (without the notes half of split-screen pages)
+        const viewport = await this.pdfHandler.getPageDimensions(pageNumber, 1.0);
         
         // Check if in fullscreen mode (cross-browser)
         const isFullscreen = document.fullscreenElement || 
@@ -217,148 +1833,295 @@ class PDFTransitionsApp {
         
         // Set the scale
         this.pdfHandler.setScale(optimalScale);
+
+        // Cached pages fit the same box; resizing the viewer or going fullscreen drops them
+        this.pageCache.setFitSize(viewerWidth - padding, viewerHeight - padding);
         
         console.log('Optimal scale calculated:', optimalScale, 'Fullscreen:', !!isFullscreen);
     }
 
-    async prerenderAdjacentPages() {
-        if (this.isPrerendering || !this.pdfHandler.isPDFLoaded()) {
-            return;
-        }
-
-        this.isPrerendering = true;
-
-        try {
-            // Pre-render next page
-            if (this.currentPage < this.totalPages) {
-                const nextPage = this.currentPage + 1;
-                if (!this.pageCache.has(nextPage)) {
-                    console.log('Pre-rendering page', nextPage);
-                    const canvas = document.createElement('canvas');
-                    await this.pdfHandler.renderPage(nextPage, canvas);
-                    this.pageCache.set(nextPage, canvas);
-                }
-            }
-
-            // Pre-render previous page
-            if (this.currentPage > 1) {
-                const prevPage = this.currentPage - 1;
-                if (!this.pageCache.has(prevPage)) {
-                    console.log('Pre-rendering page', prevPage);
-                    const canvas = document.createElement('canvas');
-                    await this.pdfHandler.renderPage(prevPage, canvas);
-                    this.pageCache.set(prevPage, canvas);
-                }
-            }
+    async renderPageWithTransition(direction = 1, fromPage = null, signal = null) {
+        let settings = this.getTransitionSettings(this.currentPage, fromPage);
 
-            // Clean up cache - keep only adjacent pages
-            this.cleanupCache();
-        } catch (error) {
-            console.error('Error pre-rendering pages:', error);
-        } finally {
-            this.isPrerendering = false;
+        // Auto-play can pick another transition for every page; cuts stay cuts
+        if (this.autoPlayer.isPlaying() && this.autoPlayer.random && settings.transition !== 'none') {
+            const transition = AutoPlayer.pickTransition(this.getRandomTransitionChoices());
+            settings = Object.assign({}, settings, { transition: transition, params: {} });
         }
-    }
-
-    cleanupCache() {
-        // Keep only current page and adjacent pages
-        const pagesToKeep = new Set([
-            this.currentPage - 1,
-            this.currentPage,
-            this.currentPage + 1
-        ]);
 
-        for (const pageNum of this.pageCache.keys()) {
-            if (!pagesToKeep.has(pageNum)) {
-                console.log('Removing cached page', pageNum);
-                this.pageCache.delete(pageNum);
-            }
-        }
-    }
+        this.navigationDirection = direction;
 
-    async renderPageWithTransition(direction = 1) {
-        if (!this.pdfHandler.isPDFLoaded() || !this.webglUtils) {
-            this.renderPage();
+        // Instant cuts (e.g. between overlay builds) show the cached page straight away
+        const renderer = this.webglUtils || this.canvasTransitions;
+        if (!this.pdfHandler.isPDFLoaded() || !renderer || settings.transition === 'none' || !this.shownSize) {
+            await this.renderPage();
             return;
         }
 
+        // Only the overview zoom runs outside the navigation queue; it ends on its own page, so
+        // navigate from there to the latest target once it is done
         if (this.isTransitioning) {
+            await this.overviewZoom;
+            const target = this.navigation.getTargetPage();
+            this.navigation.reset(this.currentPage);
+            this.navigation.request(target);
             return;
         }
 
         this.isTransitioning = true;
+        this.autoPlayer.cancel();
+        this.linkLayer.clear();
+        this.textLayer.clear();
+        this.annotations.hide();
         this.updatePageInfo();
 
         try {
-            // Create a temporary canvas for the old page
-            const oldCanvas = document.createElement('canvas');
-            oldCanvas.width = this.pdfCanvas.width;
-            oldCanvas.height = this.pdfCanvas.height;
-            const oldCtx = oldCanvas.getContext('2d');
-            oldCtx.drawImage(this.pdfCanvas, 0, 0);
-
-            // Store the CSS display dimensions
-            const displayWidth = this.pdfCanvas.style.width;
-            const displayHeight = this.pdfCanvas.style.height;
-
-            // Check if new page is cached, otherwise render it
-            let newCanvas;
-            if (this.pageCache.has(this.currentPage)) {
-                console.log('Using cached page', this.currentPage);
-                newCanvas = this.pageCache.get(this.currentPage);
-            } else {
-                console.log('Cache miss, rendering page', this.currentPage);
-                newCanvas = document.createElement('canvas');
-                await this.pdfHandler.renderPage(this.currentPage, newCanvas);
+            // With WebGL the old page is still uploaded as the page on screen; its bitmap is only
+            // needed after a context loss, and can't be used once the cache released it
+            const fromKey = this.shownKey;
+            let oldImage = this.shownImage;
+            const oldSize = this.shownSize;
+            if (oldImage.width === 0 && !this.webglUtils) {
+                // The 2D canvas still shows the old page
+                oldImage = document.createElement('canvas');
+                oldImage.width = this.pdfCanvas.width;
+                oldImage.height = this.pdfCanvas.height;
+                oldImage.getContext('2d').drawImage(this.pdfCanvas, 0, 0);
+            } else if (oldImage.width === 0 && !this.webglUtils.hasTexture(fromKey)) {
+                await this.renderPage();
+                return;
             }
 
-            // Resize WebGL canvas to match - both pixel and display dimensions
-            this.webglUtils.resize(newCanvas.width, newCanvas.height);
-            this.webglCanvas.style.width = newCanvas.style.width;
-            this.webglCanvas.style.height = newCanvas.style.height;
-            this.webglCanvas.style.display = 'block';
-            this.pdfCanvas.style.display = 'none';
-
-            // Perform transition with direction
-            await this.webglUtils.performTransition(
-                oldCanvas,
-                newCanvas,
-                this.currentTransition,
-                800, // transition duration in ms
-                direction // 1 for forward, -1 for backward
-            );
+            // Cached pages start at once; a cache miss only waits for a low-resolution placeholder
+            await this.calculateOptimalScale(this.currentPage);
+            const entry = await this.pageCache.getPage(this.currentPage, { placeholder: true });
+
+            // Newer input arrived while the page was rendering
+            if (signal && signal.aborted) {
+                this.displayPage(entry);
+                this.onPageShownIfTarget();
+                return;
+            }
+
+            // Both pages are letterboxed into a stage that holds either of them, sizes in CSS px
+            const stageWidth = Math.max(oldSize.width, entry.width);
+            const stageHeight = Math.max(oldSize.height, entry.height);
+            const dpr = window.devicePixelRatio || 1;
 
-            // Copy final result to PDF canvas - both pixel and display dimensions
-            this.pdfCanvas.width = newCanvas.width;
-            this.pdfCanvas.height = newCanvas.height;
-            this.pdfCanvas.style.width = newCanvas.style.width;
-            this.pdfCanvas.style.height = newCanvas.style.height;
-            const ctx = this.pdfCanvas.getContext('2d');
-            ctx.drawImage(newCanvas, 0, 0);
+            // Resize the canvas to the stage - both pixel and display dimensions
+            const surface = this.webglUtils ? this.webglCanvas : this.pdfCanvas;
+            renderer.resize(Math.round(stageWidth * dpr), Math.round(stageHeight * dpr));
+            surface.style.width = stageWidth + 'px';
+            surface.style.height = stageHeight + 'px';
 
-            // Hide WebGL canvas, show PDF canvas
-            this.webglCanvas.style.display = 'none';
-            this.pdfCanvas.style.display = 'block';
+            // Perform transition with direction; the easing curve includes any hold and overshoot.
+            // Strokes are part of the page images, so they move with the pages.
+            const timing = Easing.timing(settings);
+            const page = this.annotations.bake(this.currentPage, entry.bitmap, entry.key);
+            await renderer.performTransition(
+                oldImage,
+                page.image,
+                settings.transition,
+                timing.duration,
+                direction, // 1 for forward, -1 for backward
+                {
+                    easing: timing.easing,
+                    params: settings.params,
+                    fromRect: WebGLUtils.fitRect(oldSize.width, oldSize.height, stageWidth, stageHeight),
+                    toRect: WebGLUtils.fitRect(entry.width, entry.height, stageWidth, stageHeight),
+                    background: this.deckProfile.background,
+                    signal: signal,
+                    fromKey: fromKey,
+                    toKey: page.key
+                }
+            );
 
-            // Pre-render adjacent pages for next navigation
-            this.prerenderAdjacentPages();
+            // The page may have been upgraded from its placeholder meanwhile
+            this.displayPage(this.pageCache.get(this.currentPage) || entry);
+            this.onPageShownIfTarget();
 
         } catch (error) {
             console.error('Transition error:', error);
             // Fallback to regular render
-            this.renderPage();
+            await this.renderPage();
         } finally {
             this.isTransitioning = false;
         }
     }
 
+    // Show a cached page: on the WebGL canvas, which also runs the transitions, or on the
+    // 2D canvas when WebGL is unavailable
+    displayPage(entry) {
+        // The bitmap was released, e.g. because the viewer was resized meanwhile
+        if (entry.bitmap.width === 0) {
+            this.renderPage();
+            return;
+        }
+
+        // The page with its strokes drawn in
+        const page = this.annotations.bake(this.currentPage, entry.bitmap, entry.key);
+        this.shownSize = { width: entry.width, height: entry.height };
+        this.shownKey = page.key;
+        this.shownImage = page.image;
+        this.updateLinks();
+        this.updateTextLayer();
+        this.annotations.setPage(this.currentPage, entry.width, entry.height);
+
+        if (this.webglUtils) {
+            // Output pixels at the device resolution, a placeholder is scaled up by the GPU
+            const dpr = window.devicePixelRatio || 1;
+            this.webglUtils.resize(Math.round(entry.width * dpr), Math.round(entry.height * dpr));
+            this.webglCanvas.style.width = entry.width + 'px';
+            this.webglCanvas.style.height = entry.height + 'px';
+            this.webglUtils.showStill(page.image, page.key, null, this.deckProfile.background);
+            this.webglCanvas.style.display = 'block';
+            return;
+        }
+
+        // Pixel size of the bitmap (low for placeholders), display size of the fitted page
+        this.pdfCanvas.width = entry.bitmap.width;
+        this.pdfCanvas.height = entry.bitmap.height;
+        this.pdfCanvas.style.width = entry.width + 'px';
+        this.pdfCanvas.style.height = entry.height + 'px';
+        const ctx = this.pdfCanvas.getContext('2d');
+        ctx.drawImage(page.image, 0, 0);
+        this.pdfCanvas.style.display = 'block';
+    }
+
     updatePageInfo() {
-        this.currentPageSpan.textContent = this.currentPage;
-        this.totalPagesSpan.textContent = this.totalPages;
+        // The counter shows logical slides, overlay builds share a number
+        const slideIndex = this.pdfHandler.getSlideIndex(this.currentPage);
+        const slideCount = this.pdfHandler.getSlideCount();
+        const hasOverlays = slideCount > 0 && slideCount !== this.totalPages;
+
+        this.currentPageSpan.textContent = slideIndex !== undefined ? slideIndex + 1 : this.currentPage;
+        this.totalPagesSpan.textContent = slideCount || this.totalPages;
+        this.physicalPageSpan.textContent = hasOverlays ? '(page ' + this.currentPage + ' of ' + this.totalPages + ')' : '';
         
         // Update button states
         this.prevButton.disabled = this.currentPage === 1;
         this.nextButton.disabled = this.currentPage === this.totalPages;
+        this.prevSlideButton.disabled = !slideIndex;
+        this.nextSlideButton.disabled = slideIndex === undefined || slideIndex >= slideCount - 1;
+        this.outlineSidebar.setCurrentPage(this.currentPage);
+
+        this.updateSlideSettingsPanel();
+        this.sendPresenterState()
+            .catch((error) => console.error('Error sending state to the presenter:', error));
+    }
+
+    setupPresenterSync() {
+        // Every presenter window says hello and bye with its own id, so closing one keeps the others updated
+        this.presenterSync.on('hello', (message) => {
+            this.presenterWindows.add(message.id);
+            this.sendPresenterState()
+                .catch((error) => console.error('Error sending state to the presenter:', error));
+            this.sendPresenterSlides()
+                .catch((error) => console.error('Error sending slides to the presenter:', error));
+        });
+
+        this.presenterSync.on('bye', (message) => {
+            this.presenterWindows.delete(message.id);
+        });
+
+        // Navigation from the presenter window drives the transitions here
+        this.presenterSync.on('navigate', (message) => {
+            if (message.action === 'next') {
+                this.goToNextPage();
+            } else if (message.action === 'previous') {
+                this.goToPreviousPage();
+            } else if (message.action === 'nextSlide') {
+                this.goToNextSlide();
+            } else if (message.action === 'previousSlide') {
+                this.goToPreviousSlide();
+            } else if (message.action === 'goto') {
+                this.goToPage(message.page);
+            }
+        });
+
+        this.presenterSync.on('notes', (message) => {
+            this.deckProfile.setNotes(message.page, message.text);
+            if (this.pdfHandler.isPDFLoaded()) {
+                this.deckProfile.saveToStorage();
+            }
+        });
+
+        this.presenterSync.send('reconnect');
+    }
+
+    openPresenterView() {
+        if (!this.presenterSync.isAvailable()) {
+            console.error('Presenter view needs BroadcastChannel support');
+            return;
+        }
+
+        // Offline bundles carry the presenter page inline
+        const url = this.bundle ?
+            URL.createObjectURL(new Blob([this.bundle.presenterHtml], { type: 'text/html' })) :
+            'presenter.html';
+        const presenterWindow = window.open(url, 'pdf-transitions-presenter', 'width=1200,height=800');
+        if (!presenterWindow) {
+            console.error('Presenter window was blocked by the browser');
+        }
+    }
+
+    async sendPresenterState() {
+        if (this.presenterWindows.size === 0) {
+            return;
+        }
+
+        const page = this.currentPage;
+        this.presenterSync.send('state', {
+            page: page,
+            totalPages: this.totalPages,
+            slideLabel: this.pdfHandler.isPDFLoaded() ? this.pdfHandler.getPageLabel(page) : '',
+            deckName: this.deckProfile.name,
+            notes: this.deckProfile.getNotes(page)
+        });
+
+        // Notes found in the PDF follow once they are extracted
+        if (this.pdfHandler.isPDFLoaded()) {
+            const pdfNotes = await this.pdfHandler.getPageNotes(page);
+            this.presenterSync.send('pdfNotes', { page: page, text: pdfNotes });
+        }
+    }
+
+    async sendPresenterSlides() {
+        if (this.presenterWindows.size === 0 || !this.pdfHandler.isPDFLoaded()) {
+            return;
+        }
+
+        const page = this.currentPage;
+        const currentEntry = this.pageCache.get(page);
+        const current = currentEntry && currentEntry.bitmap.width > 0 ?
+            await this.createSlideImage(this.annotations.bake(page, currentEntry.bitmap, currentEntry.key).image, 1280) : null;
+        this.presenterSync.send('slide', { page: page, role: 'current', image: current });
+
+        // The next slide comes from the pre-render cache
+        const nextEntry = this.pageCache.get(page + 1);
+        const next = nextEntry && nextEntry.bitmap.width > 0 ?
+            await this.createSlideImage(this.annotations.bake(page + 1, nextEntry.bitmap, nextEntry.key).image, 480) : null;
+        this.presenterSync.send('slide', { page: page, role: 'next', image: next });
+
+        // The notes half of split-screen pages is shown next to the notes text
+        let notes = null;
+        if (await this.pdfHandler.hasNotesRegion(page)) {
+            const notesCanvas = document.createElement('canvas');
+            await this.pdfHandler.renderPage(page, notesCanvas, null, 'notes',
+                { priority: PDFHandler.PRIORITY.PRESENTER });
+            notes = await this.createSlideImage(notesCanvas, 800);
+        }
+        this.presenterSync.send('slide', { page: page, role: 'notes', image: notes });
+    }
+
+    createSlideImage(canvas, maxWidth) {
+        const scale = Math.min(1, maxWidth / canvas.width);
+        const image = document.createElement('canvas');
+        image.width = Math.round(canvas.width * scale);
+        image.height = Math.round(canvas.height * scale);
+        image.getContext('2d').drawImage(canvas, 0, 0, image.width, image.height);
+
+        return new Promise((resolve) => image.toBlob(resolve, 'image/png'));
     }
 
     toggleFullscreen() {
@@ -397,6 +2160,13 @@ class PDFTransitionsApp {
     }
 }
 
+PDFTransitionsApp.VIEWER_PANELS = '.overview-grid, .outline-sidebar, .search-panel'; // See isOverPanel()
+
+// Annotated pages are exported at twice their size in points (144 dpi)
+PDFTransitionsApp.ANNOTATION_EXPORT_SCALE = 2;
+PDFTransitionsApp.ANNOTATION_EXPORT_QUALITY = 0.92; // JPEG quality of the pages of an annotated PDF
+PDFTransitionsApp.DOWNLOAD_URL_LIFETIME = 10000; // ms an exported file's object URL stays valid
+
 // Initialize the application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new PDFTransitionsApp();
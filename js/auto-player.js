@@ -0,0 +1,144 @@
+// Auto Player
+// This file times how long each page stays on screen, for kiosk auto-play and /Dur auto-advance.
+// Playback can be paused for several reasons at once (hover, the user), and shows the time left
+// on the page as a shrinking progress bar.
+
+class AutoPlayer {
+    constructor(progressBar) {
+        this.progressBar = progressBar; // Its width shows the time left on the page
+        this.playing = false; // Kiosk auto-play is on
+        this.pauseReasons = new Set(); // 'hover', 'user'
+        this.loop = true; // Start over after the last page
+        this.random = false; // A random transition for every page
+        this.pauseOnHover = true;
+        this.defaultSeconds = 5; // Time on pages without a timing of their own
+
+        this.timer = null;
+        this.duration = null; // ms the page on screen is timed for, null when it isn't
+        this.remaining = 0; // ms left when the timer was last started or paused
+        this.startedAt = 0;
+
+        this.onAdvance = null; // Called when the page's time is up
+        this.onStateChange = null; // Called when playback starts, stops, pauses or resumes
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    start() {
+        this.playing = true;
+        this.pauseReasons.clear();
+        this.notify();
+    }
+
+    stop() {
+        this.playing = false;
+        this.pauseReasons.clear();
+        this.cancel();
+        this.notify();
+    }
+
+    // Space: start playing, pause, or resume whatever paused it
+    toggle() {
+        if (!this.playing) {
+            this.start();
+        } else if (this.isPaused()) {
+            this.pauseReasons.clear();
+            this.run();
+            this.notify();
+        } else {
+            this.pause('user');
+        }
+    }
+
+    // Time the page now on screen; null leaves it up until the user moves on
+    schedule(seconds) {
+        this.cancel();
+        if (seconds === null) {
+            return;
+        }
+
+        this.duration = Math.max(0, seconds) * 1000;
+        this.remaining = this.duration;
+        this.run();
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.duration = null;
+        this.remaining = 0;
+        this.renderProgress();
+    }
+
+    pause(reason) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.remaining = Math.max(0, this.remaining - (performance.now() - this.startedAt));
+        }
+        this.pauseReasons.add(reason);
+        this.renderProgress();
+        this.notify();
+    }
+
+    resume(reason) {
+        if (!this.pauseReasons.delete(reason)) {
+            return;
+        }
+        this.run();
+        this.notify();
+    }
+
+    // Start the timer for the time left, unless something still holds playback
+    run() {
+        if (this.timer || this.isPaused() || this.duration === null) {
+            return;
+        }
+
+        this.startedAt = performance.now();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.duration = null;
+            this.remaining = 0;
+            this.renderProgress();
+            if (this.onAdvance) {
+                this.onAdvance();
+            }
+        }, this.remaining);
+        this.renderProgress();
+    }
+
+    renderProgress() {
+        if (!this.progressBar) {
+            return;
+        }
+
+        const bar = this.progressBar;
+        bar.style.transition = 'none';
+        bar.style.width = (this.duration > 0 ? this.remaining / this.duration * 100 : 0) + '%';
+
+        // Let the bar run down over the time left
+        if (this.timer) {
+            void bar.offsetWidth;
+            bar.style.transition = 'width ' + this.remaining + 'ms linear';
+            bar.style.width = '0%';
+        }
+    }
+
+    notify() {
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+
+    // Transition for the next page when random is on, from the given choices
+    static pickTransition(choices) {
+        return choices[Math.floor(Math.random() * choices.length)];
+    }
+}
@@ -0,0 +1,186 @@
+// Canvas Transitions
+// This file animates page changes with Canvas 2D compositing, for machines without WebGL.
+// It follows the WebGLUtils performTransition contract with a smaller set of styles.
+
+class CanvasTransitions {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    // Map a transition type onto one of the styles drawn here; anything else cross-fades
+    static resolveStyle(transitionType, direction, params) {
+        const angle = params && typeof params.angle === 'number' ? params.angle : 0;
+        switch (transitionType) {
+            case 'slide': {
+                // Like the WebGL slide (see TransitionLibrary.BUILTIN), following navigation
+                // forward pages enter on the left
+                const vectors = { 1: [1, 0], 2: [-1, 0], 3: [0, 1], 4: [0, -1] };
+                return { style: 'push', vector: vectors[params && params.slideDirection] || [direction, 0] };
+            }
+            case 'zoom':
+                return { style: 'zoom', vector: null, amount: params && typeof params.amount === 'number' ? params.amount : 0.5 };
+            case 'pdf:push':
+            case 'pdf:cover':
+            case 'pdf:uncover':
+                return { style: transitionType.slice(4), vector: CanvasTransitions.axisVector(angle) };
+            case 'pdf:wipe':
+            case 'pdf:glitter':
+                return { style: 'wipe', vector: [Math.cos(angle * Math.PI / 180), Math.sin(angle * Math.PI / 180)] };
+            default:
+                return { style: 'fade', vector: null };
+        }
+    }
+
+    // Direction of travel snapped to an axis, as the PDF shaders do
+    static axisVector(angle) {
+        const radians = angle * Math.PI / 180;
+        return [Math.floor(Math.cos(radians) + 0.5), Math.floor(Math.sin(radians) + 0.5)];
+    }
+
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    // A page with the stage background around it, at the canvas size; rect as in WebGLUtils.fitRect
+    createStage(image, rect, background) {
+        const stage = document.createElement('canvas');
+        stage.width = this.canvas.width;
+        stage.height = this.canvas.height;
+        const ctx = stage.getContext('2d');
+
+        ctx.fillStyle = background || '#000000';
+        ctx.fillRect(0, 0, stage.width, stage.height);
+
+        // Rects have a bottom-left origin, the canvas a top-left one
+        const r = rect || [0, 0, 1, 1];
+        ctx.drawImage(image, r[0] * stage.width, (1 - r[1] - r[3]) * stage.height,
+            r[2] * stage.width, r[3] * stage.height);
+        return stage;
+    }
+
+    // Resolves true when the transition ran to the end, false when options.signal cut it short.
+    // options: { easing, params, fromRect, toRect, background, signal }
+    performTransition(fromImage, toImage, transitionType, duration, direction = 1, options = {}) {
+        return new Promise((resolve) => {
+            const signal = options.signal;
+            if (signal && signal.aborted) {
+                resolve(false);
+                return;
+            }
+
+            const state = CanvasTransitions.resolveStyle(transitionType, direction, options.params);
+            state.direction = direction;
+            state.background = options.background || '#000000';
+            state.from = this.createStage(fromImage, options.fromRect, options.background);
+            state.to = this.createStage(toImage, options.toRect, options.background);
+
+            // Animation loop
+            const startTime = Date.now();
+            const animate = () => {
+                if (signal && signal.aborted) {
+                    resolve(false);
+                    return;
+                }
+
+                const elapsed = Date.now() - startTime;
+                const time = duration > 0 ? Math.min(elapsed / duration, 1.0) : 1.0;
+
+                this.renderFrame(state, Easing.apply(options.easing, time));
+
+                if (time < 1.0) {
+                    requestAnimationFrame(animate);
+                } else {
+                    resolve(true);
+                }
+            };
+
+            animate();
+        });
+    }
+
+    renderFrame(state, progress) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const vector = state.vector;
+
+        ctx.save();
+        ctx.clearRect(0, 0, width, height);
+
+        switch (state.style) {
+            case 'push':
+                // Both pages move along the vector (uv y points up, canvas y down)
+                ctx.drawImage(state.from, vector[0] * progress * width, -vector[1] * progress * height);
+                ctx.drawImage(state.to, -vector[0] * (1 - progress) * width, vector[1] * (1 - progress) * height);
+                break;
+            case 'cover':
+                ctx.drawImage(state.from, 0, 0);
+                ctx.drawImage(state.to, -vector[0] * (1 - progress) * width, vector[1] * (1 - progress) * height);
+                break;
+            case 'uncover':
+                ctx.drawImage(state.to, 0, 0);
+                ctx.drawImage(state.from, vector[0] * progress * width, -vector[1] * progress * height);
+                break;
+            case 'wipe':
+                ctx.drawImage(state.from, 0, 0);
+                this.clipWipe(vector, progress);
+                ctx.drawImage(state.to, 0, 0);
+                break;
+            case 'zoom': {
+                // Forward the old page shrinks into the background, backward it grows; the new one fades in
+                const scale = 1 / Math.max(0.01, 1 + progress * state.amount * state.direction);
+                ctx.fillStyle = state.background;
+                ctx.fillRect(0, 0, width, height);
+                ctx.drawImage(state.from, width * (1 - scale) / 2, height * (1 - scale) / 2, width * scale, height * scale);
+                ctx.globalAlpha = CanvasTransitions.smoothstep(0.5, 1.0, progress);
+                ctx.drawImage(state.to, 0, 0);
+                break;
+            }
+            case 'fade':
+            default:
+                ctx.drawImage(state.from, 0, 0);
+                ctx.globalAlpha = progress;
+                ctx.drawImage(state.to, 0, 0);
+                break;
+        }
+
+        ctx.restore();
+    }
+
+    // Clip to the part of the stage the wipe has reached, like the pdf:wipe shader:
+    // dot(uv - 0.5, d) / (|d.x| + |d.y|) + 0.5 < progress
+    clipWipe(vector, progress) {
+        const norm = Math.abs(vector[0]) + Math.abs(vector[1]);
+        const reached = (p) => (p[0] - 0.5) * vector[0] / norm + (p[1] - 0.5) * vector[1] / norm + 0.5 - progress;
+
+        // Cut the unit square along the wipe edge (one Sutherland-Hodgman step)
+        const square = [[0, 0], [1, 0], [1, 1], [0, 1]];
+        const polygon = [];
+        square.forEach((point, i) => {
+            const next = square[(i + 1) % square.length];
+            const a = reached(point);
+            const b = reached(next);
+            if (a < 0) {
+                polygon.push(point);
+            }
+            if ((a < 0) !== (b < 0)) {
+                const t = a / (a - b);
+                polygon.push([point[0] + (next[0] - point[0]) * t, point[1] + (next[1] - point[1]) * t]);
+            }
+        });
+
+        this.ctx.beginPath();
+        polygon.forEach((point) => {
+            this.ctx.lineTo(point[0] * this.canvas.width, (1 - point[1]) * this.canvas.height);
+        });
+        this.ctx.closePath();
+        this.ctx.clip();
+    }
+
+    static smoothstep(edge0, edge1, x) {
+        const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+        return t * t * (3 - 2 * t);
+    }
+}
@@ -0,0 +1,106 @@
+// Custom Transitions
+// This file keeps the user's own transition shaders in local storage and turns them into library entries
+
+class CustomTransitions {
+    constructor() {
+        this.shaders = new Map(); // Name -> GLSL source
+
+        this.load();
+    }
+
+    // Saved shaders as { name, glsl }, by name
+    list() {
+        return Array.from(this.shaders, ([name, glsl]) => ({ name: name, glsl: glsl }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.shaders.get(name) || null;
+    }
+
+    set(name, glsl) {
+        this.shaders.set(name, glsl);
+        this.save();
+    }
+
+    remove(name) {
+        this.shaders.delete(name);
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CustomTransitions.STORAGE_KEY));
+            for (const shader of Array.isArray(saved) ? saved : []) {
+                if (shader && typeof shader.name === 'string' && typeof shader.glsl === 'string') {
+                    this.shaders.set(shader.name, shader.glsl);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load custom transitions:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CustomTransitions.STORAGE_KEY, JSON.stringify(this.list()));
+        } catch (error) {
+            console.warn('Could not save custom transitions:', error);
+        }
+    }
+
+    // A shader with its own main() is a complete fragment shader written against the viewer's
+    // original uniforms (u_texture1, u_texture2, u_progress, u_direction, v_texCoord) that only gets the
+    // overlays around it (see ShaderPreamble.composeFull); anything else follows the gl-transitions
+    // contract and gets the whole shader preamble
+    static isFullShader(glsl) {
+        return /\bvoid\s+main\s*\(/.test(glsl);
+    }
+
+    // Parameters declared the gl-transitions way, with their default in a comment:
+    // uniform float amount; // = 0.5
+    static parseParams(glsl) {
+        const paramsTypes = {};
+        const defaultParams = {};
+        const pattern = /uniform\s+(float|int|bool|i?vec[234])\s+(\w+)\s*;\s*\/\/\s*=\s*([^;\n]+)/g;
+
+        let match;
+        while ((match = pattern.exec(glsl)) !== null) {
+            const [, type, name, text] = match;
+            if (name.startsWith('u_')) {
+                continue;
+            }
+
+            let value;
+            if (type === 'bool') {
+                value = text.trim() === 'true';
+            } else if (type === 'float' || type === 'int') {
+                value = parseFloat(text);
+            } else {
+                value = (text.match(/-?\d*\.?\d+(?:e-?\d+)?/gi) || []).map(Number);
+            }
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                continue;
+            }
+
+            paramsTypes[name] = type;
+            defaultParams[name] = value;
+        }
+        return { paramsTypes: paramsTypes, defaultParams: defaultParams };
+    }
+
+    // Transition library entry for a shader, see TransitionLibrary.register
+    static toEntry(name, glsl) {
+        const params = CustomTransitions.parseParams(glsl);
+        return {
+            name: name,
+            label: name,
+            glsl: glsl,
+            fullShader: CustomTransitions.isFullShader(glsl),
+            paramsTypes: params.paramsTypes,
+            defaultParams: params.defaultParams
+        };
+    }
+}
+
+CustomTransitions.STORAGE_KEY = 'pdf-transitions:custom-transitions';
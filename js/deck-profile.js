@@ -0,0 +1,191 @@
+// Deck Profile
+// This file stores the per-page transition choreography of a deck and (de)serializes it as JSON
+
+class DeckProfile {
+    constructor(name = '', totalPages = 0) {
+        this.name = name;
+        this.totalPages = totalPages;
+        this.defaults = {
+            transition: 'fade',
+            duration: 800,
+            easing: 'ease-in-out',
+            hold: 0, // ms paused halfway, see Easing.timing
+            overshoot: 0, // Fraction run past the end
+            advance: null, // Seconds before auto-play moves on, null for the auto-play default
+            params: {} // Transition parameters, keyed by transition: { 'slide': { slideDirection: 3 } }
+        };
+        // Transition between builds of the same slide (overlay pages)
+        this.overlay = {
+            transition: 'none',
+            duration: 300,
+            easing: 'ease-out'
+        };
+        // Stage colour around pages of different sizes during a transition
+        this.background = '#000000';
+        this.pages = new Map(); // Per-page overrides, keyed by page number
+        this.notes = new Map(); // Speaker notes, keyed by page number
+    }
+
+    getPageSettings(pageNumber) {
+        return Object.assign({}, this.defaults, this.pages.get(pageNumber));
+    }
+
+    getPageOverride(pageNumber) {
+        return this.pages.get(pageNumber) || {};
+    }
+
+    hasPageSettings(pageNumber) {
+        return this.pages.has(pageNumber);
+    }
+
+    setPageSettings(pageNumber, settings) {
+        const override = {};
+
+        // Keep what was applied to the page, even where it matches today's deck defaults, so the page
+        // keeps it when the defaults change; clearPageSettings() goes back to the defaults
+        for (const key of Object.keys(this.defaults)) {
+            if (settings[key] !== undefined && key !== 'params') {
+                override[key] = settings[key];
+            }
+        }
+
+        // Parameters are kept for the transitions they were set for
+        const params = {};
+        for (const [transition, values] of Object.entries(settings.params || {})) {
+            if (values && Object.keys(values).length > 0) {
+                params[transition] = values;
+            }
+        }
+        if (Object.keys(params).length > 0) {
+            override.params = params;
+        }
+
+        if (Object.keys(override).length > 0) {
+            this.pages.set(pageNumber, override);
+        } else {
+            this.pages.delete(pageNumber);
+        }
+    }
+
+    clearPageSettings(pageNumber) {
+        this.pages.delete(pageNumber);
+    }
+
+    getNotes(pageNumber) {
+        return this.notes.get(pageNumber) || '';
+    }
+
+    setNotes(pageNumber, text) {
+        if (text) {
+            this.notes.set(pageNumber, text);
+        } else {
+            this.notes.delete(pageNumber);
+        }
+    }
+
+    setDefaults(settings) {
+        const params = Object.assign({}, this.defaults.params, settings.params);
+        Object.assign(this.defaults, settings, { params: params });
+    }
+
+    // Combine settings layers, later ones win. The parameters of the resulting transition are
+    // merged from every layer that has some for it, and returned flat.
+    static mergeSettings(...layers) {
+        const settings = Object.assign({}, ...layers);
+        settings.params = Object.assign({}, ...layers.map((layer) =>
+            (layer && layer.params && layer.params[settings.transition]) || {}));
+        return settings;
+    }
+
+    setOverlaySettings(settings) {
+        Object.assign(this.overlay, settings);
+    }
+
+    toJSON() {
+        const pages = {};
+        const pageNumbers = Array.from(this.pages.keys()).sort((a, b) => a - b);
+        for (const pageNumber of pageNumbers) {
+            pages[pageNumber] = this.pages.get(pageNumber);
+        }
+
+        const notes = {};
+        for (const [pageNumber, text] of this.notes) {
+            notes[pageNumber] = text;
+        }
+
+        return {
+            version: DeckProfile.VERSION,
+            name: this.name,
+            totalPages: this.totalPages,
+            defaults: this.defaults,
+            overlay: this.overlay,
+            background: this.background,
+            pages: pages,
+            notes: notes
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object' || !data.pages || typeof data.pages !== 'object') {
+            throw new Error('Not a deck profile');
+        }
+
+        if (data.version > DeckProfile.VERSION) {
+            throw new Error('Unsupported deck profile version: ' + data.version);
+        }
+
+        const profile = new DeckProfile(data.name || '', data.totalPages || 0);
+        profile.setDefaults(data.defaults || {});
+        profile.setOverlaySettings(data.overlay || {});
+        if (typeof data.background === 'string') {
+            profile.background = data.background;
+        }
+
+        for (const [pageNumber, settings] of Object.entries(data.pages)) {
+            const page = parseInt(pageNumber, 10);
+            if (page > 0) {
+                profile.setPageSettings(page, settings);
+            }
+        }
+
+        for (const [pageNumber, text] of Object.entries(data.notes || {})) {
+            const page = parseInt(pageNumber, 10);
+            if (page > 0 && typeof text === 'string') {
+                profile.setNotes(page, text);
+            }
+        }
+
+        return profile;
+    }
+
+    getStorageKey() {
+        return DeckProfile.STORAGE_PREFIX + this.name + ':' + this.totalPages;
+    }
+
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(this));
+        } catch (error) {
+            console.warn('Could not save deck profile:', error);
+        }
+    }
+
+    static loadFromStorage(name, totalPages) {
+        const profile = new DeckProfile(name, totalPages);
+
+        try {
+            const stored = localStorage.getItem(profile.getStorageKey());
+            if (stored) {
+                console.log('Restoring saved deck profile for', name);
+                return DeckProfile.fromJSON(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.warn('Could not restore deck profile:', error);
+        }
+
+        return profile;
+    }
+}
+
+DeckProfile.VERSION = 1;
+DeckProfile.STORAGE_PREFIX = 'pdf-transitions:profile:';
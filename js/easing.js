@@ -0,0 +1,177 @@
+// Easing Functions
+// This file maps the linear time of a transition to the progress fed to the shaders.
+// Besides the named curves, easings can be written like CSS timing functions:
+// 'cubic-bezier(x1, y1, x2, y2)', 'steps(n)' or 'steps(n, start)', and 'spring(frequency, decay)'.
+
+class Easing {
+    static getNames() {
+        return Object.keys(Easing.functions);
+    }
+
+    // Curve of a name or function notation (functions pass through); unknown values are linear
+    static get(name) {
+        if (typeof name === 'function') {
+            return name;
+        }
+        if (Easing.functions[name]) {
+            return Easing.functions[name];
+        }
+        if (!Easing.parsed.has(name)) {
+            Easing.parsed.set(name, Easing.parse(name));
+        }
+        return Easing.parsed.get(name) || Easing.functions.linear;
+    }
+
+    static apply(name, t) {
+        return Easing.get(name)(Math.min(Math.max(t, 0), 1));
+    }
+
+    static isValid(name) {
+        return Boolean(Easing.functions[name]) || Easing.parse(name) !== null;
+    }
+
+    // Curve of a function notation, or null if the text isn't one
+    static parse(text) {
+        const match = /^\s*([a-z-]+)\(([^)]*)\)\s*$/.exec(String(text));
+        if (!match) {
+            return null;
+        }
+
+        const args = match[2].split(',').map((arg) => arg.trim());
+        const numbers = args.map(Number);
+        switch (match[1]) {
+            case 'cubic-bezier':
+                // Like CSS, the x coordinates must stay within [0, 1] so time runs forward
+                if (numbers.length === 4 && numbers.every(Number.isFinite) &&
+                    numbers[0] >= 0 && numbers[0] <= 1 && numbers[2] >= 0 && numbers[2] <= 1) {
+                    return Easing.cubicBezier(numbers[0], numbers[1], numbers[2], numbers[3]);
+                }
+                break;
+            case 'steps':
+                if (Number.isInteger(numbers[0]) && numbers[0] > 0 && args.length <= 2 &&
+                    (args.length === 1 || args[1] === 'start' || args[1] === 'end')) {
+                    return Easing.steps(numbers[0], args[1] || 'end');
+                }
+                break;
+            case 'spring':
+                if (numbers.length === 2 && numbers[0] > 0 && numbers[1] > 0) {
+                    return Easing.spring(numbers[0], numbers[1]);
+                }
+                break;
+        }
+        return null;
+    }
+
+    static cubicBezier(x1, y1, x2, y2) {
+        // Polynomial coefficients of x(s) and y(s), the curve runs from (0, 0) to (1, 1)
+        const cx = 3 * x1;
+        const bx = 3 * (x2 - x1) - cx;
+        const ax = 1 - cx - bx;
+        const cy = 3 * y1;
+        const by = 3 * (y2 - y1) - cy;
+        const ay = 1 - cy - by;
+        const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+        const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+        const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+        return (t) => {
+            // Find the curve parameter where x(s) = t: Newton's method, then bisection where it stalls
+            let s = t;
+            for (let i = 0; i < 8; i++) {
+                const error = sampleX(s) - t;
+                if (Math.abs(error) < 1e-6) {
+                    return sampleY(s);
+                }
+                const slope = slopeX(s);
+                if (Math.abs(slope) < 1e-6) {
+                    break;
+                }
+                s -= error / slope;
+            }
+
+            let low = 0;
+            let high = 1;
+            s = t;
+            while (high - low > 1e-6) {
+                if (sampleX(s) < t) {
+                    low = s;
+                } else {
+                    high = s;
+                }
+                s = (low + high) / 2;
+            }
+            return sampleY(s);
+        };
+    }
+
+    // Jumps in equal steps, at the start or the end of each interval like CSS steps()
+    static steps(count, position = 'end') {
+        return (t) => {
+            if (t >= 1) {
+                return 1;
+            }
+            const step = Math.floor(t * count) + (position === 'start' ? 1 : 0);
+            return Math.min(step, count) / count;
+        };
+    }
+
+    // Damped oscillation around the end: frequency is the number of swings within the
+    // transition, decay how quickly they die down. Lands exactly on 1 at the end.
+    static spring(frequency, decay) {
+        return (t) => (t >= 1 ? 1 : 1 - Math.exp(-decay * t) * Math.cos(2 * Math.PI * frequency * t));
+    }
+
+    // Progress over the whole transition described by settings { duration, easing, hold, overshoot }.
+    // hold pauses halfway for that many ms, e.g. on the black of a fade through black; overshoot runs
+    // past the end by that fraction and settles back. Returns { duration (ms, including the hold), easing }.
+    static timing(settings) {
+        const duration = Math.max(0, settings.duration || 0);
+        const hold = Math.max(0, settings.hold || 0);
+        const overshoot = Math.max(0, settings.overshoot || 0);
+        const curve = Easing.get(settings.easing);
+        const total = duration + hold;
+
+        if (total === 0 || (hold === 0 && overshoot === 0)) {
+            return { duration: total, easing: curve };
+        }
+
+        const easing = (t) => {
+            // The motion clock stands still during the hold
+            const elapsed = t * total;
+            const motion = elapsed < duration / 2 ? elapsed : Math.max(duration / 2, elapsed - hold);
+            const local = duration > 0 ? motion / duration : 1;
+            return overshoot > 0 ? Easing.overshoot(curve, local, overshoot) : curve(local);
+        };
+        return { duration: total, easing: easing };
+    }
+
+    // The curve runs to 1 + amount, then the last part of the transition eases back to 1
+    static overshoot(curve, t, amount) {
+        const settle = Easing.OVERSHOOT_SETTLE;
+        if (t < 1 - settle) {
+            return curve(t / (1 - settle)) * (1 + amount);
+        }
+        return 1 + amount * (1 - Easing.functions['ease-in-out']((t - (1 - settle)) / settle));
+    }
+}
+
+Easing.functions = {
+    'linear': (t) => t,
+    'ease': Easing.cubicBezier(0.25, 0.1, 0.25, 1),
+    'ease-in': (t) => t * t * t,
+    'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    'spring': Easing.spring(1.5, 6)
+};
+
+// Suggestions for the easing field, next to the names
+Easing.EXAMPLES = [
+    'cubic-bezier(0.68, -0.6, 0.32, 1.6)',
+    'steps(4)',
+    'spring(2, 5)'
+];
+
+// Share of the transition spent settling back after an overshoot
+Easing.OVERSHOOT_SETTLE = 0.25;
+
+Easing.parsed = new Map(); // Function notation -> curve, or null if invalid
@@ -0,0 +1,87 @@
+// Image PDF Writer
+// This file writes a minimal PDF with one JPEG image filling each page, e.g. for annotated slides
+
+class ImagePDFWriter {
+    constructor() {
+        this.pages = []; // { data (JPEG bytes), pixelWidth, pixelHeight, width, height (points) }
+    }
+
+    addPage(data, pixelWidth, pixelHeight, width, height) {
+        this.pages.push({
+            data: data,
+            pixelWidth: pixelWidth,
+            pixelHeight: pixelHeight,
+            width: width,
+            height: height
+        });
+    }
+
+    finalize() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = []; // Object number -> byte offset, for the cross-reference table
+        let length = 0;
+
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const begin = (number) => {
+            offsets[number] = length;
+            write(number + ' 0 obj\n');
+        };
+
+        // Object 1 is the catalog, 2 the page tree, then a page, its content and its image per page
+        const pageObjects = this.pages.map((page, index) => 3 + index * 3);
+        const objectCount = 3 + this.pages.length * 3;
+
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // Marks the file as binary
+
+        begin(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        begin(2);
+        write('<< /Type /Pages /Kids [' + pageObjects.map((number) => number + ' 0 R').join(' ') +
+            '] /Count ' + this.pages.length + ' >>\nendobj\n');
+
+        this.pages.forEach((page, index) => {
+            const number = pageObjects[index];
+            const width = ImagePDFWriter.number(page.width);
+            const height = ImagePDFWriter.number(page.height);
+
+            begin(number);
+            write('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + width + ' ' + height + ']' +
+                ' /Resources << /XObject << /Im0 ' + (number + 2) + ' 0 R >> >>' +
+                ' /Contents ' + (number + 1) + ' 0 R >>\nendobj\n');
+
+            // Scale the unit square the image is drawn into up to the page
+            const content = 'q ' + width + ' 0 0 ' + height + ' 0 0 cm /Im0 Do Q';
+            begin(number + 1);
+            write('<< /Length ' + content.length + ' >>\nstream\n' + content + '\nendstream\nendobj\n');
+
+            begin(number + 2);
+            write('<< /Type /XObject /Subtype /Image /Width ' + page.pixelWidth + ' /Height ' + page.pixelHeight +
+                ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ' + page.data.length +
+                ' >>\nstream\n');
+            write(page.data);
+            write('\nendstream\nendobj\n');
+        });
+
+        // Cross-reference entries are exactly 20 bytes each
+        const xref = length;
+        write('xref\n0 ' + objectCount + '\n0000000000 65535 f \n');
+        for (let number = 1; number < objectCount; number++) {
+            write(String(offsets[number]).padStart(10, '0') + ' 00000 n \n');
+        }
+        write('trailer\n<< /Size ' + objectCount + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n');
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    // Page dimensions with at most two decimals, as PDF numbers
+    static number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
@@ -0,0 +1,199 @@
+// Input Bindings
+// This file maps keys, clicker buttons and pointer gestures to viewer actions, and saves the user's map
+
+class InputBindings {
+    constructor() {
+        this.keys = {}; // Action -> list of key names
+        this.pointer = {}; // Pointer input -> enabled
+        this.keyToAction = new Map();
+
+        this.load();
+    }
+
+    // Key name of a keyboard event: modifiers first, e.g. 'Shift+ArrowRight', 'Space' or 'b'.
+    // Shift is left out for printable keys, where it already changes the key itself.
+    static describe(event) {
+        const parts = [];
+        if (event.ctrlKey) parts.push('Ctrl');
+        if (event.altKey) parts.push('Alt');
+        if (event.metaKey) parts.push('Meta');
+
+        let key = event.key === ' ' ? 'Space' : event.key;
+        if (key.length === 1) {
+            key = key.toLowerCase();
+        } else if (event.shiftKey) {
+            parts.push('Shift');
+        }
+
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    getAction(event) {
+        return this.keyToAction.get(InputBindings.describe(event)) || null;
+    }
+
+    getKeys(action) {
+        return this.keys[action] || [];
+    }
+
+    // A key triggers one action, so binding it takes it away from any other
+    addKey(action, key) {
+        for (const keys of Object.values(this.keys)) {
+            const index = keys.indexOf(key);
+            if (index !== -1) {
+                keys.splice(index, 1);
+            }
+        }
+        this.keys[action] = this.getKeys(action).concat(key);
+        this.update();
+    }
+
+    clearKeys(action) {
+        this.keys[action] = [];
+        this.update();
+    }
+
+    isPointerEnabled(input) {
+        return this.pointer[input] !== false;
+    }
+
+    setPointerEnabled(input, enabled) {
+        this.pointer[input] = enabled;
+        this.save();
+    }
+
+    reset() {
+        this.keys = JSON.parse(JSON.stringify(InputBindings.DEFAULT_KEYS));
+        this.pointer = Object.assign({}, InputBindings.DEFAULT_POINTER);
+        this.update();
+    }
+
+    // Rebuild the lookup table and persist the map
+    update() {
+        this.buildLookup();
+        this.save();
+    }
+
+    buildLookup() {
+        this.keyToAction = new Map();
+        for (const [action, keys] of Object.entries(this.keys)) {
+            for (const key of keys) {
+                this.keyToAction.set(key, action);
+            }
+        }
+    }
+
+    load() {
+        this.keys = JSON.parse(JSON.stringify(InputBindings.DEFAULT_KEYS));
+        this.pointer = Object.assign({}, InputBindings.DEFAULT_POINTER);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(InputBindings.STORAGE_KEY));
+            if (saved) {
+                // Only known actions; actions added since the map was saved keep their defaults
+                const added = [];
+                for (const action of Object.keys(InputBindings.ACTIONS)) {
+                    if (saved.keys && Array.isArray(saved.keys[action])) {
+                        this.keys[action] = saved.keys[action].filter((key) => typeof key === 'string');
+                    } else {
+                        added.push(action);
+                    }
+                }
+
+                // A new action doesn't take keys the user bound to something else, except those that
+                // moved to it from an older action's defaults (e.g. Space, which used to turn pages)
+                for (const action of added) {
+                    const movedKeys = InputBindings.MOVED_KEYS[action] || {};
+                    this.keys[action] = this.keys[action].filter((key) => {
+                        const owner = Object.keys(this.keys).find((other) => other !== action && this.keys[other].includes(key));
+                        if (!owner) {
+                            return true;
+                        }
+                        if (movedKeys[key] === owner) {
+                            this.keys[owner] = this.keys[owner].filter((ownerKey) => ownerKey !== key);
+                            return true;
+                        }
+                        return false;
+                    });
+                }
+                Object.assign(this.pointer, saved.pointer);
+            }
+        } catch (error) {
+            console.warn('Could not load key bindings:', error);
+        }
+
+        this.buildLookup();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(InputBindings.STORAGE_KEY, JSON.stringify({ keys: this.keys, pointer: this.pointer }));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+}
+
+// Actions in the order they are listed in the bindings editor
+InputBindings.ACTIONS = {
+    nextPage: 'Next page',
+    previousPage: 'Previous page',
+    nextSlide: 'Next slide',
+    previousSlide: 'Previous slide',
+    firstPage: 'First page',
+    lastPage: 'Last page',
+    overview: 'Slide overview',
+    outline: 'Table of contents',
+    search: 'Search the deck',
+    togglePlay: 'Auto-play / pause',
+    blackScreen: 'Black screen',
+    whiteScreen: 'White screen',
+    laserPointer: 'Laser pointer',
+    pen: 'Pen',
+    highlighter: 'Highlighter',
+    undoStroke: 'Undo last stroke',
+    fullscreen: 'Fullscreen',
+    skipTransition: 'Skip transition'
+};
+
+// Clickers usually send PageDown/PageUp, some also Space, '.' (black screen) or F5/Escape
+InputBindings.DEFAULT_KEYS = {
+    nextPage: ['ArrowRight', 'ArrowDown', 'PageDown'],
+    previousPage: ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'],
+    nextSlide: ['Shift+ArrowRight'],
+    previousSlide: ['Shift+ArrowLeft'],
+    firstPage: ['Home'],
+    lastPage: ['End'],
+    overview: ['g'],
+    outline: ['t'],
+    search: ['/', 'Ctrl+f'],
+    togglePlay: ['Space'],
+    blackScreen: ['b', '.'],
+    whiteScreen: ['w', ','],
+    laserPointer: ['l'],
+    pen: ['p'],
+    highlighter: ['h'],
+    undoStroke: ['Ctrl+z'],
+    fullscreen: ['f', 'F5'],
+    skipTransition: ['Escape']
+};
+
+// Default keys that belonged to another action before this one was added: action -> key -> old action
+InputBindings.MOVED_KEYS = {
+    togglePlay: { Space: 'nextPage' }
+};
+
+InputBindings.POINTER_INPUTS = {
+    click: 'Click to advance',
+    wheel: 'Mouse wheel',
+    swipe: 'Touch swipe'
+};
+
+InputBindings.DEFAULT_POINTER = {
+    click: true,
+    wheel: true,
+    swipe: true
+};
+
+InputBindings.STORAGE_KEY = 'pdf-transitions:keybindings';
@@ -0,0 +1,62 @@
+// Link Layer
+// This file lays clickable hot zones over the page on screen for the links the PDF defines.
+// Zones are placed in fractions of the page, so they follow whatever size the page is shown at.
+
+class LinkLayer {
+    constructor(container) {
+        this.container = container;
+        this.onNavigate = null; // (link) for jumps inside the document and named actions
+
+        // Following a link must not also advance the page
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.page-link')) {
+                e.stopPropagation();
+            }
+        });
+    }
+
+    // Show links (see PDFHandler.getPageLinks) over a page displayed at width x height CSS px
+    show(links, width, height, describePage = String) {
+        this.clear();
+        if (links.length === 0) {
+            return;
+        }
+
+        this.container.style.width = width + 'px';
+        this.container.style.height = height + 'px';
+
+        for (const link of links) {
+            const element = document.createElement('a');
+            element.className = 'page-link';
+            element.style.left = link.rect.x * 100 + '%';
+            element.style.top = link.rect.y * 100 + '%';
+            element.style.width = link.rect.width * 100 + '%';
+            element.style.height = link.rect.height * 100 + '%';
+
+            if (link.url) {
+                // Web links open next to the presentation
+                element.href = link.url;
+                element.target = '_blank';
+                element.rel = 'noopener noreferrer';
+                element.title = link.url;
+            } else {
+                element.href = '#';
+                element.title = link.page ? 'Go to page ' + describePage(link.page) : link.action;
+                element.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (this.onNavigate) {
+                        this.onNavigate(link);
+                    }
+                });
+            }
+
+            this.container.appendChild(element);
+        }
+        this.container.style.display = 'block';
+    }
+
+    clear() {
+        this.container.innerHTML = '';
+        this.container.style.display = 'none';
+    }
+}
@@ -0,0 +1,73 @@
+// Navigation Controller
+// This file serialises page changes: requests made during a transition are merged into one target,
+// and the running transition is fast-forwarded so the viewer catches up with the input
+
+class NavigationController {
+    // showPage(page, fromPage, signal) shows a page, usually with a transition, and returns a promise.
+    // When the signal aborts it should finish at once on the page it was showing.
+    constructor(showPage) {
+        this.showPage = showPage;
+        this.shownPage = 1; // Page on screen, or being transitioned to
+        this.targetPage = 1; // Latest requested page
+        this.abortController = null; // Cancels the running transition
+        this.running = null; // Promise of the running navigation loop
+    }
+
+    // Forget pending navigation, e.g. after a new PDF was loaded
+    reset(page = 1) {
+        this.cancel();
+        this.shownPage = page;
+        this.targetPage = page;
+    }
+
+    // The page navigation ends on; relative moves (next, previous) start from here
+    getTargetPage() {
+        return this.targetPage;
+    }
+
+    isNavigating() {
+        return this.running !== null;
+    }
+
+    request(page) {
+        if (page === this.targetPage) {
+            return this.running || Promise.resolve();
+        }
+
+        this.targetPage = page;
+
+        // More input while a transition runs: fast-forward it, the loop then continues to the new target
+        if (this.running) {
+            this.cancel();
+            return this.running;
+        }
+
+        this.running = this.run().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    async run() {
+        while (this.shownPage !== this.targetPage) {
+            const fromPage = this.shownPage;
+            const page = this.targetPage;
+
+            this.abortController = new AbortController();
+            this.shownPage = page;
+            try {
+                await this.showPage(page, fromPage, this.abortController.signal);
+            } catch (error) {
+                console.error('Navigation to page ' + page + ' failed:', error);
+            } finally {
+                this.abortController = null;
+            }
+        }
+    }
+}
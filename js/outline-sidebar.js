@@ -0,0 +1,105 @@
+// Outline Sidebar
+// This file shows the table of contents of the PDF (its bookmarks) beside the slide, and marks
+// the section being presented. PDFs without an outline list their slides by label instead.
+
+class OutlineSidebar {
+    // container holds the list of entries (.outline-items)
+    constructor(container, pdfHandler) {
+        this.container = container;
+        this.itemsDiv = container.querySelector('.outline-items');
+        this.pdfHandler = pdfHandler;
+        this.entries = []; // { page, element } in document order
+        this.loadGeneration = 0; // Bumped by every load, drops an outline that arrives late
+
+        this.onNavigate = null; // (pageNumber)
+    }
+
+    isOpen() {
+        return this.container.classList.contains('open');
+    }
+
+    toggle() {
+        this.container.classList.toggle('open');
+    }
+
+    close() {
+        this.container.classList.remove('open');
+    }
+
+    async load() {
+        const generation = ++this.loadGeneration;
+        const outline = await this.pdfHandler.getOutline();
+        if (generation !== this.loadGeneration) {
+            return;
+        }
+
+        this.entries = [];
+        this.itemsDiv.innerHTML = '';
+        if (outline.length > 0) {
+            this.itemsDiv.appendChild(this.renderItems(outline));
+        } else {
+            this.itemsDiv.appendChild(this.renderItems(this.getSlideItems()));
+        }
+    }
+
+    // One entry per logical slide, for PDFs without bookmarks
+    getSlideItems() {
+        const items = [];
+        for (let index = 0; index < this.pdfHandler.getSlideCount(); index++) {
+            const slide = this.pdfHandler.getSlide(index);
+            items.push({ title: 'Slide ' + slide.label, page: slide.pages[0], url: null, items: [] });
+        }
+        return items;
+    }
+
+    renderItems(items) {
+        const list = document.createElement('ul');
+
+        for (const item of items) {
+            const entry = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'outline-entry';
+            button.textContent = item.title;
+
+            if (item.page) {
+                button.title = 'Page ' + this.pdfHandler.getPageLabel(item.page);
+                button.addEventListener('click', () => {
+                    if (this.onNavigate) {
+                        this.onNavigate(item.page);
+                    }
+                });
+                this.entries.push({ page: item.page, element: button });
+            } else if (item.url) {
+                button.title = item.url;
+                button.addEventListener('click', () => window.open(item.url, '_blank', 'noopener'));
+            } else {
+                button.disabled = true;
+            }
+
+            entry.appendChild(button);
+            if (item.items.length > 0) {
+                entry.appendChild(this.renderItems(item.items));
+            }
+            list.appendChild(entry);
+        }
+        return list;
+    }
+
+    // Mark the entry the page belongs to: the last one starting at or before it
+    setCurrentPage(pageNumber) {
+        let current = null;
+        for (const entry of this.entries) {
+            entry.element.classList.remove('current');
+            if (entry.page <= pageNumber && (!current || entry.page >= current.page)) {
+                current = entry;
+            }
+        }
+
+        if (current) {
+            current.element.classList.add('current');
+            if (this.isOpen()) {
+                current.element.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+}
@@ -0,0 +1,251 @@
+// Overview Grid
+// This file shows every page of the deck as a thumbnail grid over the viewer, to pick a page by
+// keyboard, mouse or its label. Thumbnails render lazily through the PDFHandler render queue.
+
+class OverviewGrid {
+    // container holds a search field (.overview-search) and the grid of cells (.overview-cells)
+    constructor(container, pdfHandler) {
+        this.container = container;
+        this.searchInput = container.querySelector('.overview-search');
+        this.cellsDiv = container.querySelector('.overview-cells');
+        this.pdfHandler = pdfHandler;
+        this.cells = []; // { page, label, element, canvas, state: 'empty', 'rendering' or 'done' }
+        this.selected = 1;
+        this.abortController = null; // Cancels thumbnail renders when the grid closes
+
+        this.onChoose = null; // (pageNumber, thumbnail canvas or null if not rendered yet)
+
+        // Thumbnails render once their cell scrolls into view
+        this.observer = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                if (entry.isIntersecting) {
+                    this.renderThumbnail(this.cells[parseInt(entry.target.dataset.page, 10) - 1]);
+                }
+            }
+        }, { root: this.cellsDiv, rootMargin: '200px' });
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.container.addEventListener('keydown', (e) => this.handleKey(e));
+        this.searchInput.addEventListener('input', () => this.filter(this.searchInput.value));
+
+        this.cellsDiv.addEventListener('click', (e) => {
+            const element = e.target.closest('.overview-cell');
+            if (element) {
+                this.choose(parseInt(element.dataset.page, 10));
+            }
+        });
+        this.cellsDiv.addEventListener('mousemove', (e) => {
+            const element = e.target.closest('.overview-cell');
+            if (element) {
+                this.select(parseInt(element.dataset.page, 10), false);
+            }
+        });
+    }
+
+    isOpen() {
+        return this.container.classList.contains('open');
+    }
+
+    open(currentPage) {
+        if (this.cells.length !== this.pdfHandler.getPageCount()) {
+            this.build();
+        }
+
+        this.abortController = new AbortController();
+        this.container.classList.add('open');
+        this.searchInput.value = '';
+        this.filter('');
+        this.select(currentPage, true);
+        this.searchInput.focus();
+    }
+
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        this.container.classList.remove('open');
+        this.searchInput.blur();
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    // Drop the thumbnails, e.g. after another PDF was loaded
+    reset() {
+        this.close();
+        this.observer.disconnect();
+        this.cells = [];
+        this.cellsDiv.innerHTML = '';
+    }
+
+    build() {
+        this.reset();
+
+        for (let page = 1; page <= this.pdfHandler.getPageCount(); page++) {
+            const element = document.createElement('div');
+            element.className = 'overview-cell';
+            element.dataset.page = page;
+
+            const canvas = document.createElement('canvas');
+            const label = this.pdfHandler.getPageLabel(page);
+            const caption = document.createElement('span');
+            caption.className = 'overview-label';
+            caption.textContent = label === String(page) ? label : label + ' (' + page + ')';
+
+            element.appendChild(canvas);
+            element.appendChild(caption);
+            this.cellsDiv.appendChild(element);
+            this.cells.push({ page: page, label: label, element: element, canvas: canvas, state: 'empty' });
+            this.observer.observe(element);
+        }
+    }
+
+    async renderThumbnail(cell) {
+        if (!cell || cell.state !== 'empty' || !this.abortController) {
+            return;
+        }
+
+        cell.state = 'rendering';
+        try {
+            const size = await this.pdfHandler.getPageDimensions(cell.page, 1.0);
+            const scale = Math.min(OverviewGrid.THUMBNAIL_WIDTH / size.width, OverviewGrid.THUMBNAIL_HEIGHT / size.height);
+            await this.pdfHandler.renderPage(cell.page, cell.canvas, scale, 'slide', {
+                priority: PDFHandler.PRIORITY.THUMBNAIL,
+                signal: this.abortController.signal
+            });
+            cell.state = 'done';
+        } catch (error) {
+            // Closing the grid cancels its renders; they start again when it reopens
+            cell.state = 'empty';
+            if (error.name !== 'AbortError') {
+                console.error('Error rendering thumbnail of page ' + cell.page + ':', error);
+            }
+        }
+    }
+
+    // Show only pages whose label contains the query, and select the first of them
+    filter(query) {
+        const text = query.trim().toLowerCase();
+        for (const cell of this.cells) {
+            cell.element.hidden = text !== '' && !cell.label.toLowerCase().includes(text) &&
+                String(cell.page) !== text;
+        }
+
+        const visible = this.getVisibleCells();
+        if (text !== '' && visible.length > 0) {
+            this.select(visible[0].page, true);
+        }
+    }
+
+    getVisibleCells() {
+        return this.cells.filter((cell) => !cell.element.hidden);
+    }
+
+    select(pageNumber, scroll) {
+        const cell = this.cells[pageNumber - 1];
+        if (!cell) {
+            return;
+        }
+
+        const previous = this.cells[this.selected - 1];
+        if (previous) {
+            previous.element.classList.remove('selected');
+        }
+        this.selected = pageNumber;
+        cell.element.classList.add('selected');
+        if (scroll) {
+            cell.element.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    choose(pageNumber) {
+        const cell = this.cells[pageNumber - 1];
+        if (cell && this.onChoose) {
+            this.onChoose(pageNumber, cell.state === 'done' ? cell.canvas : null);
+        }
+    }
+
+    // Arrows move through the visible cells, Enter opens the selected page, Escape closes
+    handleKey(e) {
+        const visible = this.getVisibleCells();
+        const index = visible.findIndex((cell) => cell.page === this.selected);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                next = index - 1;
+                break;
+            case 'ArrowRight':
+                next = index + 1;
+                break;
+            case 'ArrowUp':
+                next = index - this.getColumnCount(visible);
+                break;
+            case 'ArrowDown':
+                next = index + this.getColumnCount(visible);
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = visible.length - 1;
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (index !== -1) {
+                    this.choose(this.selected);
+                }
+                return;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (visible.length > 0) {
+            this.select(visible[Math.min(Math.max(next, 0), visible.length - 1)].page, true);
+        }
+    }
+
+    // Cells in the first row of the grid
+    getColumnCount(visible) {
+        if (visible.length === 0) {
+            return 1;
+        }
+        const top = visible[0].element.offsetTop;
+        const columns = visible.findIndex((cell) => cell.element.offsetTop !== top);
+        return columns === -1 ? visible.length : columns;
+    }
+
+    // The rendered thumbnails in view, drawn where they appear within rect (a DOMRect in CSS px)
+    snapshot(rect, dpr) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(rect.width * dpr);
+        canvas.height = Math.round(rect.height * dpr);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = OverviewGrid.BACKGROUND;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        for (const cell of this.getVisibleCells()) {
+            const r = cell.canvas.getBoundingClientRect();
+            if (cell.state !== 'done' || r.bottom < rect.top || r.top > rect.bottom) {
+                continue;
+            }
+            ctx.drawImage(cell.canvas, (r.left - rect.left) * dpr, (r.top - rect.top) * dpr, r.width * dpr, r.height * dpr);
+        }
+        return canvas;
+    }
+}
+
+OverviewGrid.THUMBNAIL_WIDTH = 200; // CSS px
+OverviewGrid.THUMBNAIL_HEIGHT = 150;
+OverviewGrid.ZOOM_DURATION = 600; // ms
+OverviewGrid.BACKGROUND = '#2c3e50'; // Matches .overview-grid in styles.css
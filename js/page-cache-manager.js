@@ -0,0 +1,221 @@
+// Page Cache Manager
+// This file keeps rendered pages as ImageBitmaps within a memory budget, renders ahead in the
+// direction of travel and serves low-resolution placeholders while the full page renders.
+// Renders go through the PDFHandler render queue, with priorities and cancellation.
+
+class PageCacheManager {
+    constructor(pdfHandler, options = {}) {
+        this.pdfHandler = pdfHandler;
+        this.budget = options.budget || 256 * 1024 * 1024; // Bytes of bitmap memory
+        this.ahead = options.ahead || 4; // Pages rendered ahead in the direction of travel
+        this.behind = options.behind || 1; // Pages kept behind
+        this.placeholderScale = options.placeholderScale || 0.25; // Placeholder resolution, relative to full
+
+        this.entries = new Map(); // Page number -> { key, bitmap, width, height (CSS px), full, bytes, lastUsed }
+        this.fitWidth = 0; // Box pages are fitted into, in CSS px
+        this.fitHeight = 0;
+        this.generation = 0; // Bumped on clear(), renders of an older generation are dropped
+        this.prefetchGeneration = 0; // Bumped by every prefetch plan, stops the previous one
+        this.protectedPages = new Set(); // Pages of the current plan, never evicted
+        this.pending = new Map(); // 'page:full' or 'page:low' -> { promise, controller, priority }
+
+        this.onPageUpgraded = null; // (pageNumber, entry) when a placeholder was replaced by the full page
+    }
+
+    // Pages are rendered to fit this box; a new size invalidates every entry
+    setFitSize(width, height) {
+        if (width === this.fitWidth && height === this.fitHeight) {
+            return false;
+        }
+        this.fitWidth = width;
+        this.fitHeight = height;
+        this.clear();
+        return true;
+    }
+
+    clear() {
+        this.generation++;
+        this.prefetchGeneration++;
+        for (const pending of this.pending.values()) {
+            pending.controller.abort();
+        }
+        this.pending.clear();
+        for (const entry of this.entries.values()) {
+            entry.bitmap.close();
+        }
+        this.entries.clear();
+    }
+
+    get(pageNumber) {
+        const entry = this.entries.get(pageNumber);
+        if (entry) {
+            entry.lastUsed = performance.now();
+        }
+        return entry || null;
+    }
+
+    // With placeholder set, a missing page is first rendered at low resolution and
+    // upgraded in the background (see onPageUpgraded)
+    async getPage(pageNumber, options = {}) {
+        const entry = this.get(pageNumber);
+        if (entry && (entry.full || options.placeholder)) {
+            if (!entry.full) {
+                this.upgrade(pageNumber);
+            }
+            return entry;
+        }
+
+        if (options.placeholder) {
+            const placeholder = await this.request(pageNumber, false, PDFHandler.PRIORITY.VISIBLE);
+            this.upgrade(pageNumber);
+            return placeholder;
+        }
+        return this.request(pageNumber, true, PDFHandler.PRIORITY.VISIBLE);
+    }
+
+    upgrade(pageNumber) {
+        this.request(pageNumber, true, PDFHandler.PRIORITY.UPGRADE)
+            .then((entry) => {
+                if (this.onPageUpgraded) {
+                    this.onPageUpgraded(pageNumber, entry);
+                }
+            })
+            .catch((error) => {
+                if (error.name !== 'AbortError') {
+                    console.error('Error upgrading page ' + pageNumber + ':', error);
+                }
+            });
+    }
+
+    // Render the pages around the current one, most likely next first. A newer plan replaces this one.
+    async prefetch(pageNumber, direction = 1) {
+        const generation = ++this.prefetchGeneration;
+        const plan = [pageNumber];
+        for (let i = 1; i <= this.ahead; i++) {
+            plan.push(pageNumber + direction * i);
+        }
+        for (let i = 1; i <= this.behind; i++) {
+            plan.push(pageNumber - direction * i);
+        }
+
+        const pages = plan.filter((page) => page >= 1 && page <= this.pdfHandler.getPageCount());
+        this.protectedPages = new Set(pages);
+
+        // Pages the previous plan was still rendering, and this one doesn't need, are cancelled
+        for (const [key, pending] of this.pending) {
+            if (pending.priority >= PDFHandler.PRIORITY.PREFETCH && !this.protectedPages.has(parseInt(key, 10))) {
+                pending.controller.abort();
+            }
+        }
+
+        const renders = pages
+            .filter((page) => !(this.entries.has(page) && this.entries.get(page).full))
+            .map((page, index) => this.request(page, true, PDFHandler.PRIORITY.PREFETCH + index));
+
+        for (const result of await Promise.allSettled(renders)) {
+            if (result.status === 'rejected' && result.reason.name !== 'AbortError') {
+                console.error('Error pre-rendering page:', result.reason);
+            }
+        }
+        return generation === this.prefetchGeneration;
+    }
+
+    // Render a page once, however many callers ask; a more urgent request re-queues a pending render
+    request(pageNumber, full, priority) {
+        const key = pageNumber + (full ? ':full' : ':low');
+        const pending = this.pending.get(key);
+        if (pending && pending.priority <= priority) {
+            return pending.promise;
+        }
+        if (pending) {
+            pending.controller.abort();
+        }
+
+        const record = { controller: new AbortController(), priority: priority };
+        record.promise = this.render(pageNumber, full, priority, record.controller.signal).finally(() => {
+            if (this.pending.get(key) === record) {
+                this.pending.delete(key);
+            }
+        });
+        this.pending.set(key, record);
+        return record.promise;
+    }
+
+    async render(pageNumber, full, priority, signal) {
+        // Another request may have rendered it meanwhile
+        const existing = this.entries.get(pageNumber);
+        if (existing && (existing.full || !full)) {
+            return existing;
+        }
+
+        const generation = this.generation;
+        const size = await this.pdfHandler.getPageDimensions(pageNumber, 1.0);
+        const scale = Math.min(this.fitWidth / size.width, this.fitHeight / size.height);
+
+        const renderScale = full ? scale : scale * this.placeholderScale;
+        const canvas = document.createElement('canvas');
+        await this.pdfHandler.renderPage(pageNumber, canvas, renderScale, 'slide',
+            { priority: priority, signal: signal });
+
+        const bitmap = await createImageBitmap(canvas, { premultiplyAlpha: 'premultiply' });
+        const entry = {
+            key: pageNumber + '@' + renderScale.toFixed(4), // Identifies this rendering, e.g. as a GPU texture
+            bitmap: bitmap,
+            width: size.width * scale,
+            height: size.height * scale,
+            full: full,
+            bytes: bitmap.width * bitmap.height * 4,
+            lastUsed: performance.now()
+        };
+
+        // The fit size changed or a new PDF was loaded while rendering; nobody would release it
+        if (generation !== this.generation) {
+            bitmap.close();
+            throw PDFHandler.abortError();
+        }
+
+        // A full page may have arrived while this placeholder rendered
+        const current = this.entries.get(pageNumber);
+        if (current && current.full && !full) {
+            bitmap.close();
+            return current;
+        }
+        if (current) {
+            current.bitmap.close();
+        }
+        this.entries.set(pageNumber, entry);
+        this.evict();
+
+        console.log(`Cached page ${pageNumber} (${full ? 'full' : 'placeholder'}), ` +
+            `${Math.round(this.getMemoryUsage() / 1048576)} MB in cache`);
+        return entry;
+    }
+
+    getMemoryUsage() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            total += entry.bytes;
+        }
+        return total;
+    }
+
+    // Drop least recently used pages outside the current plan until the cache fits its budget
+    evict() {
+        let usage = this.getMemoryUsage();
+        while (usage > this.budget) {
+            let oldest = null;
+            for (const [page, entry] of this.entries) {
+                if (!this.protectedPages.has(page) && (!oldest || entry.lastUsed < oldest.entry.lastUsed)) {
+                    oldest = { page: page, entry: entry };
+                }
+            }
+            if (!oldest) {
+                return;
+            }
+
+            oldest.entry.bitmap.close();
+            this.entries.delete(oldest.page);
+            usage -= oldest.entry.bytes;
+        }
+    }
+}
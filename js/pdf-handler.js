@@ -7,10 +7,24 @@ class PDFHandler {
         this.currentPage = 1;
         this.totalPages = 0;
         this.scale = 1.5;
-        this.rendering = false;
+        this.renderQueue = []; // Renders waiting for a free slot, see renderPage()
+        this.activeRenders = new Set();
+        this.maxConcurrentRenders = 2;
+        this.renderSequence = 0;
+        this.pdfData = null; // Raw bytes of the loaded PDF
+        this.pageTransitions = new Map(); // Page number -> embedded /Trans and /Dur
+        this.notesLayout = 'auto'; // Where split-screen notes sit: auto, none, left, right, top, bottom
+        this.autoNotesPosition = null; // Side the notes of wide pages were detected on, see detectNotesPosition()
+        this.pageNotes = new Map(); // Page number -> extracted notes text
+        this.pageLinks = new Map(); // Page number -> links, see getPageLinks()
+        this.pageText = new Map(); // Page number -> positioned text, see getPageText()
+        this.outline = null; // Document outline, see getOutline()
+        this.pageLabels = null; // Page labels from the PDF, if it defines any
+        this.logicalSlides = []; // Runs of pages that form one slide (e.g. Beamer overlays)
+        this.pageToSlide = []; // Page number -> index into logicalSlides
         
-        // Configure PDF.js worker
-        if (typeof pdfjsLib !== 'undefined') {
+        // Configure PDF.js worker, unless an offline bundle already points it at an inline copy
+        if (typeof pdfjsLib !== 'undefined' && !pdfjsLib.GlobalWorkerOptions.workerSrc) {
             pdfjsLib.GlobalWorkerOptions.workerSrc = 
                 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
         }
@@ -19,14 +33,31 @@ class PDFHandler {
     async loadPDF(file) {
         try {
             const arrayBuffer = await this.fileToArrayBuffer(file);
+            this.cancelAllRenders();
+
+            // Keep a copy of the bytes, PDF.js may transfer the buffer to its worker
+            this.pdfData = new Uint8Array(arrayBuffer.slice(0));
             
             // Load PDF document
             const loadingTask = pdfjsLib.getDocument({data: arrayBuffer});
             this.pdfDoc = await loadingTask.promise;
             this.totalPages = this.pdfDoc.numPages;
+            this.pageNotes = new Map();
+            this.pageLinks = new Map();
+            this.pageText = new Map();
+            this.outline = null;
             
             console.log('PDF loaded successfully');
             console.log('Total pages:', this.totalPages);
+
+            // Read the transitions the authoring tool embedded in the pages
+            await this.loadPageTransitions();
+
+            // Find the notes half of split-screen pages for the auto layout
+            await this.detectNotesPosition();
+
+            // Group overlay pages into logical slides
+            await this.loadPageLabels();
             
             return {
                 success: true,
@@ -41,6 +72,94 @@ class PDFHandler {
         }
     }
 
+    async loadPageTransitions() {
+        this.pageTransitions = new Map();
+
+        let pages = [];
+        try {
+            const parser = new PDFTransParser(this.pdfData);
+            pages = await parser.parse();
+        } catch (error) {
+            console.warn('Could not read embedded page transitions:', error);
+            return;
+        }
+
+        for (const page of pages) {
+            // Edited PDFs may keep orphaned or duplicate page objects; skip only those
+            try {
+                const pageIndex = await this.pdfDoc.getPageIndex(page.ref);
+                this.pageTransitions.set(pageIndex + 1, {
+                    transition: page.trans ? PDFTransitions.fromTransDictionary(page.trans) : null,
+                    displayDuration: page.duration
+                });
+            } catch (error) {
+                console.warn('Skipping the transition of an unknown page object', page.ref, error);
+            }
+        }
+
+        console.log('Embedded transitions found on', this.pageTransitions.size, 'pages');
+    }
+
+    async loadPageLabels() {
+        this.pageLabels = null;
+
+        try {
+            this.pageLabels = await this.pdfDoc.getPageLabels();
+        } catch (error) {
+            console.warn('Could not read page labels:', error);
+        }
+
+        // Consecutive pages that share a label are builds of the same slide
+        this.logicalSlides = [];
+        this.pageToSlide = [];
+        for (let page = 1; page <= this.totalPages; page++) {
+            const label = this.pageLabels ? this.pageLabels[page - 1] : String(page);
+            const last = this.logicalSlides[this.logicalSlides.length - 1];
+
+            if (last && last.label === label) {
+                last.pages.push(page);
+            } else {
+                this.logicalSlides.push({ label: label, pages: [page] });
+            }
+            this.pageToSlide[page] = this.logicalSlides.length - 1;
+        }
+
+        console.log('Logical slides:', this.logicalSlides.length, 'for', this.totalPages, 'pages');
+    }
+
+    getPageLabel(pageNumber) {
+        return this.pageLabels ? this.pageLabels[pageNumber - 1] : String(pageNumber);
+    }
+
+    getSlideCount() {
+        return this.logicalSlides.length;
+    }
+
+    // Zero-based index of the logical slide a page belongs to
+    getSlideIndex(pageNumber) {
+        return this.pageToSlide[pageNumber];
+    }
+
+    getSlide(index) {
+        return this.logicalSlides[index] || null;
+    }
+
+    isSameSlide(pageA, pageB) {
+        return this.pageToSlide[pageA] !== undefined && this.pageToSlide[pageA] === this.pageToSlide[pageB];
+    }
+
+    // Transition settings from the page's /Trans entry, or null
+    getPageTransition(pageNumber) {
+        const entry = this.pageTransitions.get(pageNumber);
+        return entry ? entry.transition : null;
+    }
+
+    // Auto-advance time in seconds from the page's /Dur entry, or null
+    getPageDisplayDuration(pageNumber) {
+        const entry = this.pageTransitions.get(pageNumber);
+        return entry ? entry.displayDuration : null;
+    }
+
     fileToArrayBuffer(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -50,90 +169,323 @@ class PDFHandler {
         });
     }
 
-    async renderPage(pageNumber, canvas, scale = null) {
+    setNotesLayout(layout) {
+        this.notesLayout = layout;
+        this.pageNotes = new Map();
+        this.pageLinks = new Map();
+        this.pageText = new Map();
+    }
+
+    // Position of the notes half of a split-screen page, or null for a plain slide
+    getNotesPosition(viewport) {
+        if (this.notesLayout !== 'auto') {
+            return this.notesLayout === 'none' ? null : this.notesLayout;
+        }
+
+        // Beamer's "show notes on second screen" doubles the page width
+        return viewport.width / viewport.height >= PDFHandler.SPLIT_SCREEN_RATIO ? this.autoNotesPosition : null;
+    }
+
+    // Beamer puts the notes on the right by default, or on the left with 'notes on second screen=left'.
+    // Each sampled wide page votes for a side; when they don't tell, wide pages are shown whole
+    // rather than risk cropping to the notes in front of the audience.
+    async detectNotesPosition() {
+        this.autoNotesPosition = null;
+        const votes = { left: 0, right: 0 };
+        let sampled = 0;
+
+        for (let pageNumber = 1; pageNumber <= this.totalPages && sampled < PDFHandler.NOTES_SAMPLE_PAGES; pageNumber++) {
+            try {
+                const page = await this.pdfDoc.getPage(pageNumber);
+                const viewport = page.getViewport({ scale: 1.0 });
+                if (viewport.width / viewport.height < PDFHandler.SPLIT_SCREEN_RATIO) {
+                    continue;
+                }
+                sampled++;
+
+                const side = await this.guessNotesSide(page, viewport);
+                if (side) {
+                    votes[side]++;
+                }
+            } catch (error) {
+                console.warn('Could not check page', pageNumber, 'for notes:', error);
+            }
+        }
+
+        if (votes.left !== votes.right) {
+            this.autoNotesPosition = votes.left > votes.right ? 'left' : 'right';
+        }
+        if (sampled > 0) {
+            console.log('Split-screen notes detected on the', this.autoNotesPosition || 'unknown', 'side');
+        }
+    }
+
+    // Notes side of one wide page, or null if it can't be told
+    async guessNotesSide(page, viewport) {
+        const sideOf = (x) => x < viewport.width / 2 ? 'left' : 'right';
+
+        // Navigation symbols and hyperlinks are on the slide
+        const links = { left: 0, right: 0 };
+        for (const annotation of await page.getAnnotations()) {
+            if (annotation.subtype === 'Link') {
+                const [x1, , x2] = viewport.convertToViewportRectangle(annotation.rect);
+                links[sideOf((x1 + x2) / 2)]++;
+            }
+        }
+        if (links.left > 0 && links.right === 0) {
+            return 'right';
+        }
+        if (links.right > 0 && links.left === 0) {
+            return 'left';
+        }
+
+        // The thumbnail on the notes half repeats the words of the slide, besides the notes
+        const words = { left: new Set(), right: new Set() };
+        const textContent = await page.getTextContent();
+        for (const item of textContent.items) {
+            if (!item.str) {
+                continue;
+            }
+            const [x] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+            for (const word of item.str.toLowerCase().split(/\s+/)) {
+                if (word) {
+                    words[sideOf(x)].add(word);
+                }
+            }
+        }
+
+        const isRepeatedIn = (slide, notes) => slide.size > 0 && slide.size < notes.size &&
+            Array.from(slide).filter((word) => notes.has(word)).length >= slide.size * PDFHandler.NOTES_WORD_OVERLAP;
+        if (isRepeatedIn(words.left, words.right)) {
+            return 'right';
+        }
+        if (isRepeatedIn(words.right, words.left)) {
+            return 'left';
+        }
+        return null;
+    }
+
+    // Slide and notes rectangles of a page, in unscaled viewport units
+    getPageLayout(page) {
+        const viewport = page.getViewport({ scale: 1.0 });
+        const width = viewport.width;
+        const height = viewport.height;
+        const full = { x: 0, y: 0, width: width, height: height };
+
+        switch (this.getNotesPosition(viewport)) {
+            case 'right':
+                return {
+                    page: full,
+                    slide: { x: 0, y: 0, width: width / 2, height: height },
+                    notes: { x: width / 2, y: 0, width: width / 2, height: height }
+                };
+            case 'left':
+                return {
+                    page: full,
+                    slide: { x: width / 2, y: 0, width: width / 2, height: height },
+                    notes: { x: 0, y: 0, width: width / 2, height: height }
+                };
+            case 'bottom':
+                return {
+                    page: full,
+                    slide: { x: 0, y: 0, width: width, height: height / 2 },
+                    notes: { x: 0, y: height / 2, width: width, height: height / 2 }
+                };
+            case 'top':
+                return {
+                    page: full,
+                    slide: { x: 0, y: height / 2, width: width, height: height / 2 },
+                    notes: { x: 0, y: 0, width: width, height: height / 2 }
+                };
+            default:
+                return { page: full, slide: full, notes: null };
+        }
+    }
+
+    async hasNotesRegion(pageNumber) {
+        const page = await this.pdfDoc.getPage(pageNumber);
+        return this.getPageLayout(page).notes !== null;
+    }
+
+    // Queue a render of a page region to a canvas. options: { priority (see PDFHandler.PRIORITY), signal }.
+    // Resolves once the page is on the canvas; rejects on failure, or with an AbortError
+    // when the signal cancels it.
+    renderPage(pageNumber, canvas, scale = null, region = 'slide', options = {}) {
         if (!this.pdfDoc) {
-            console.error('No PDF document loaded');
-            return null;
+            return Promise.reject(new Error('No PDF document loaded'));
         }
 
-        if (this.rendering) {
-            console.warn('Already rendering a page');
-            return null;
+        return new Promise((resolve, reject) => {
+            const job = {
+                pageNumber: pageNumber,
+                canvas: canvas,
+                scale: scale || this.scale,
+                region: region,
+                priority: options.priority !== undefined ? options.priority : PDFHandler.PRIORITY.VISIBLE,
+                sequence: this.renderSequence++,
+                resolve: resolve,
+                reject: reject,
+                task: null, // PDF.js RenderTask while drawing
+                cancelled: false,
+                preempted: false
+            };
+
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    reject(PDFHandler.abortError());
+                    return;
+                }
+                options.signal.addEventListener('abort', () => this.cancelRender(job), { once: true });
+            }
+
+            this.renderQueue.push(job);
+            this.processRenderQueue();
+        });
+    }
+
+    // Drop every queued and running render, e.g. when another PDF is loaded
+    cancelAllRenders() {
+        for (const job of this.renderQueue.concat(Array.from(this.activeRenders))) {
+            this.cancelRender(job);
+        }
+    }
+
+    cancelRender(job) {
+        const index = this.renderQueue.indexOf(job);
+        if (index !== -1) {
+            this.renderQueue.splice(index, 1);
+            job.reject(PDFHandler.abortError());
+        } else if (this.activeRenders.has(job)) {
+            job.cancelled = true;
+            if (job.task) {
+                job.task.cancel();
+            }
+        }
+    }
+
+    processRenderQueue() {
+        // Most urgent first, then first come first served
+        this.renderQueue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+
+        while (this.renderQueue.length > 0 && this.activeRenders.size < this.maxConcurrentRenders) {
+            const job = this.renderQueue.shift();
+            this.activeRenders.add(job);
+            this.runRender(job).finally(() => {
+                this.activeRenders.delete(job);
+                this.processRenderQueue();
+            });
         }
 
+        // A waiting render more urgent than a running one preempts it; the preempted one is queued again
+        const next = this.renderQueue[0];
+        if (next) {
+            let lowest = null;
+            for (const job of this.activeRenders) {
+                if (job.priority > next.priority && job.task && !job.preempted &&
+                    (!lowest || job.priority > lowest.priority)) {
+                    lowest = job;
+                }
+            }
+            if (lowest) {
+                lowest.preempted = true;
+                lowest.task.cancel();
+            }
+        }
+    }
+
+    async runRender(job) {
         try {
-            this.rendering = true;
-            const useScale = scale || this.scale;
-            
-            // Get the page
-            const page = await this.pdfDoc.getPage(pageNumber);
-            
-            // Get viewport
-            const viewport = page.getViewport({ scale: useScale });
-            
-            // Account for device pixel ratio for high-DPI displays
-            const dpr = window.devicePixelRatio || 1;
-            
-            // Set canvas dimensions (scaled for high-DPI)
-            canvas.width = viewport.width * dpr;
-            canvas.height = viewport.height * dpr;
-            
-            // Set display size (CSS pixels)
-            canvas.style.width = viewport.width + 'px';
-            canvas.style.height = viewport.height + 'px';
-            
-            // Get canvas context and scale for high-DPI
-            const context = canvas.getContext('2d');
-            context.scale(dpr, dpr);
-            
-            // Render page
-            const renderContext = {
-                canvasContext: context,
-                viewport: viewport
-            };
-            
-            await page.render(renderContext).promise;
-            
-            this.rendering = false;
-            
-            console.log(`Page ${pageNumber} rendered at ${dpr}x DPI`);
-            
-            return {
-                success: true,
-                width: viewport.width,
-                height: viewport.height
-            };
+            job.resolve(await this.drawPage(job));
         } catch (error) {
-            this.rendering = false;
-            console.error('Error rendering page:', error);
-            return null;
+            if (job.preempted && !job.cancelled) {
+                job.preempted = false;
+                job.task = null;
+                this.renderQueue.push(job);
+            } else if (job.cancelled || error.name === 'RenderingCancelledException') {
+                job.reject(PDFHandler.abortError());
+            } else {
+                console.error('Error rendering page:', error);
+                job.reject(error);
+            }
+        }
+    }
+
+    async drawPage(job) {
+        const useScale = job.scale;
+
+        // Get the page
+        const page = await this.pdfDoc.getPage(job.pageNumber);
+        if (job.cancelled) {
+            throw PDFHandler.abortError();
         }
+
+        // Get viewport, cropped to the requested region of split-screen pages
+        const rect = this.getPageLayout(page)[job.region];
+        if (!rect) {
+            throw new Error('Page ' + job.pageNumber + ' has no ' + job.region + ' region');
+        }
+        const viewport = page.getViewport({
+            scale: useScale,
+            offsetX: -rect.x * useScale,
+            offsetY: -rect.y * useScale
+        });
+        const width = rect.width * useScale;
+        const height = rect.height * useScale;
+        
+        // Account for device pixel ratio for high-DPI displays
+        const dpr = window.devicePixelRatio || 1;
+        
+        // Set canvas dimensions (scaled for high-DPI)
+        const canvas = job.canvas;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        
+        // Set display size (CSS pixels)
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        
+        // Get canvas context and scale for high-DPI
+        const context = canvas.getContext('2d');
+        context.scale(dpr, dpr);
+        
+        // Render page
+        const renderContext = {
+            canvasContext: context,
+            viewport: viewport
+        };
+        
+        job.task = page.render(renderContext);
+        await job.task.promise;
+        
+        console.log(`Page ${job.pageNumber} rendered at ${dpr}x DPI`);
+        
+        return {
+            success: true,
+            width: width,
+            height: height
+        };
+    }
+
+    static abortError() {
+        return new DOMException('Page render cancelled', 'AbortError');
     }
 
     async getPageAsImageData(pageNumber, scale = null) {
         // Create temporary canvas for rendering
         const tempCanvas = document.createElement('canvas');
-        const result = await this.renderPage(pageNumber, tempCanvas, scale);
+        await this.renderPage(pageNumber, tempCanvas, scale);
         
-        if (result && result.success) {
-            const context = tempCanvas.getContext('2d');
-            return context.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-        }
-        
-        return null;
+        const context = tempCanvas.getContext('2d');
+        return context.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
     }
 
     async getPageAsTexture(pageNumber, webglUtils, scale = null) {
         // Create temporary canvas for rendering
         const tempCanvas = document.createElement('canvas');
-        const result = await this.renderPage(pageNumber, tempCanvas, scale);
+        await this.renderPage(pageNumber, tempCanvas, scale);
         
-        if (result && result.success) {
-            // Create WebGL texture from canvas
-            return webglUtils.createTexture(tempCanvas);
-        }
-        
-        return null;
+        // Create WebGL texture from canvas
+        return webglUtils.createTexture(tempCanvas);
     }
 
     getPageCount() {
@@ -144,18 +496,19 @@ class PDFHandler {
         return this.pdfDoc !== null;
     }
 
-    async getPageDimensions(pageNumber) {
+    async getPageDimensions(pageNumber, scale = null) {
         if (!this.pdfDoc) {
             return null;
         }
 
         try {
             const page = await this.pdfDoc.getPage(pageNumber);
-            const viewport = page.getViewport({ scale: this.scale });
+            const useScale = scale || this.scale;
+            const slide = this.getPageLayout(page).slide;
             
             return {
-                width: viewport.width,
-                height: viewport.height
+                width: slide.width * useScale,
+                height: slide.height * useScale
             };
         } catch (error) {
             console.error('Error getting page dimensions:', error);
@@ -163,6 +516,226 @@ class PDFHandler {
         }
     }
 
+    // Speaker notes from the notes half of split-screen pages and from text/popup annotations
+    async getPageNotes(pageNumber) {
+        if (!this.pdfDoc) {
+            return '';
+        }
+
+        if (this.pageNotes.has(pageNumber)) {
+            return this.pageNotes.get(pageNumber);
+        }
+
+        const parts = [];
+
+        try {
+            const page = await this.pdfDoc.getPage(pageNumber);
+            const notesRect = this.getPageLayout(page).notes;
+
+            if (notesRect) {
+                parts.push(await this.extractRegionText(page, notesRect));
+            }
+
+            const annotations = await page.getAnnotations();
+            for (const annotation of annotations) {
+                if (!['Text', 'FreeText', 'Popup'].includes(annotation.subtype)) {
+                    continue;
+                }
+                const text = annotation.contentsObj ? annotation.contentsObj.str : annotation.contents;
+                // Popups repeat the contents of their parent annotation
+                if (text && !parts.includes(text)) {
+                    parts.push(text);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not read notes of page', pageNumber, error);
+        }
+
+        const notes = parts.map((part) => part.trim()).filter(Boolean).join('\n\n');
+        this.pageNotes.set(pageNumber, notes);
+        return notes;
+    }
+
+    // Link annotations of a page as [{ rect, url, page, action }]: rect { x, y, width, height } in
+    // fractions of the slide region (top-left origin), so it fits any rendering scale; url for web
+    // links, page for jumps inside the document, action for named actions such as 'NextPage'
+    async getPageLinks(pageNumber) {
+        if (!this.pdfDoc) {
+            return [];
+        }
+
+        if (this.pageLinks.has(pageNumber)) {
+            return this.pageLinks.get(pageNumber);
+        }
+
+        const links = [];
+
+        try {
+            const page = await this.pdfDoc.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: 1.0 });
+            const slide = this.getPageLayout(page).slide;
+
+            for (const annotation of await page.getAnnotations()) {
+                if (annotation.subtype !== 'Link') {
+                    continue;
+                }
+
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+                const rect = {
+                    x: (Math.min(x1, x2) - slide.x) / slide.width,
+                    y: (Math.min(y1, y2) - slide.y) / slide.height,
+                    width: Math.abs(x2 - x1) / slide.width,
+                    height: Math.abs(y2 - y1) / slide.height
+                };
+
+                // Links on the notes half of a split-screen page aren't shown
+                if (rect.x >= 1 || rect.y >= 1 || rect.x + rect.width <= 0 || rect.y + rect.height <= 0) {
+                    continue;
+                }
+
+                const link = {
+                    rect: rect,
+                    url: annotation.url || null, // PDF.js only sets url for safe absolute URLs
+                    page: annotation.dest ? await this.resolveDestination(annotation.dest) : null,
+                    action: annotation.action || null
+                };
+                if (link.url || link.page || link.action) {
+                    links.push(link);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not read links of page', pageNumber, error);
+        }
+
+        this.pageLinks.set(pageNumber, links);
+        return links;
+    }
+
+    // Page number of a named or explicit destination, or null
+    async resolveDestination(dest) {
+        try {
+            const explicit = typeof dest === 'string' ? await this.pdfDoc.getDestination(dest) : dest;
+            if (!Array.isArray(explicit)) {
+                return null;
+            }
+
+            // A page reference, or a page index in some files
+            const target = explicit[0];
+            const index = target && typeof target === 'object' ? await this.pdfDoc.getPageIndex(target) : target;
+            return Number.isInteger(index) ? index + 1 : null;
+        } catch (error) {
+            console.warn('Could not resolve destination', dest, error);
+            return null;
+        }
+    }
+
+    // Document outline (bookmarks) as [{ title, page, url, items }], empty without one
+    async getOutline() {
+        if (!this.pdfDoc) {
+            return [];
+        }
+
+        if (this.outline) {
+            return this.outline;
+        }
+
+        const convert = (items) => Promise.all((items || []).map(async (item) => ({
+            title: item.title,
+            page: item.dest ? await this.resolveDestination(item.dest) : null,
+            url: item.url || null,
+            items: await convert(item.items)
+        })));
+
+        try {
+            this.outline = await convert(await this.pdfDoc.getOutline());
+        } catch (error) {
+            console.warn('Could not read the document outline:', error);
+            this.outline = [];
+        }
+        return this.outline;
+    }
+
+    // Text on the slide part of a page as { text, items: [{ str, start, rect }] }: start is the
+    // offset of str in text, rect is in fractions of the slide like the links of getPageLinks()
+    async getPageText(pageNumber) {
+        if (!this.pdfDoc) {
+            return { text: '', items: [] };
+        }
+
+        if (this.pageText.has(pageNumber)) {
+            return this.pageText.get(pageNumber);
+        }
+
+        const result = { text: '', items: [] };
+
+        try {
+            const page = await this.pdfDoc.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: 1.0 });
+            const slide = this.getPageLayout(page).slide;
+            const textContent = await page.getTextContent();
+
+            for (const item of textContent.items) {
+                if (item.str === undefined) {
+                    continue;
+                }
+
+                // Box from the baseline up by the font size, less the part below the baseline
+                const [, , c, d, e, f] = item.transform;
+                const fontHeight = Math.hypot(c, d);
+                const style = textContent.styles[item.fontName];
+                const ascent = style && style.ascent ? style.ascent : 0.8;
+                const top = f + fontHeight * ascent;
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([e, top - fontHeight, e + item.width, top]);
+                const rect = {
+                    x: (Math.min(x1, x2) - slide.x) / slide.width,
+                    y: (Math.min(y1, y2) - slide.y) / slide.height,
+                    width: Math.abs(x2 - x1) / slide.width,
+                    height: Math.abs(y2 - y1) / slide.height
+                };
+
+                // Text on the notes half of a split-screen page isn't part of the slide
+                const centerX = rect.x + rect.width / 2;
+                const centerY = rect.y + rect.height / 2;
+                if (centerX < 0 || centerX > 1 || centerY < 0 || centerY > 1) {
+                    continue;
+                }
+
+                if (item.str !== '') {
+                    result.items.push({ str: item.str, start: result.text.length, rect: rect });
+                    result.text += item.str;
+                }
+                if (item.hasEOL) {
+                    result.text += '\n';
+                }
+            }
+        } catch (error) {
+            console.warn('Could not read text of page', pageNumber, error);
+        }
+
+        this.pageText.set(pageNumber, result);
+        return result;
+    }
+
+    async extractRegionText(page, rect) {
+        const viewport = page.getViewport({ scale: 1.0 });
+        const textContent = await page.getTextContent();
+        let text = '';
+
+        for (const item of textContent.items) {
+            if (item.str === undefined) {
+                continue;
+            }
+
+            // Keep the text items whose origin lies inside the region
+            const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+            if (x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height) {
+                text += item.str + (item.hasEOL ? '\n' : '');
+            }
+        }
+
+        return text;
+    }
+
     setScale(scale) {
         this.scale = scale;
     }
@@ -171,3 +744,18 @@ class PDFHandler {
         return this.scale;
     }
 }
+
+// Pages at least this much wider than tall are taken for slide + notes in the auto notes layout
+PDFHandler.SPLIT_SCREEN_RATIO = 2.2;
+PDFHandler.NOTES_SAMPLE_PAGES = 5; // Wide pages checked for the side of the notes
+PDFHandler.NOTES_WORD_OVERLAP = 0.8; // Share of the slide's words found again on the notes half
+
+// Render priorities, lower runs first
+PDFHandler.PRIORITY = {
+    VISIBLE: 0, // The page being shown
+    UPGRADE: 1, // Full resolution of a placeholder on screen
+    PRESENTER: 2, // Images for the presenter window
+    THUMBNAIL: 3, // Thumbnails of the overview grid
+    EXPORT: 5, // Video export, annotated PDF export
+    PREFETCH: 10 // Rendering ahead; farther pages add their distance
+};
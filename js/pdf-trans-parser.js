@@ -0,0 +1,213 @@
+// PDF Transition Parser
+// This file extracts the page transition (/Trans) and display duration (/Dur) entries from raw PDF bytes
+
+class PDFTransParser {
+    constructor(data) {
+        this.data = data;
+        this.text = PDFTransParser.toBinaryString(data);
+        this.objects = new Map(); // "num gen" -> object source
+    }
+
+    static toBinaryString(bytes) {
+        // One character per byte, so string offsets match byte offsets
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return result;
+    }
+
+    // Returns [{ ref: {num, gen}, trans, duration }] for every page that has either entry
+    async parse() {
+        await this.collectObjects();
+
+        const pages = [];
+        for (const [key, source] of this.objects) {
+            if (!/\/Type\s*\/Page(?![A-Za-z])/.test(source)) {
+                continue;
+            }
+
+            const trans = this.readTransDictionary(source);
+            const durMatch = source.match(/\/Dur\s*([-+]?[\d.]+)/);
+            const duration = durMatch ? parseFloat(durMatch[1]) : null;
+
+            if (trans || duration !== null) {
+                const [num, gen] = key.split(' ').map(Number);
+                pages.push({ ref: { num, gen }, trans, duration });
+            }
+        }
+
+        return pages;
+    }
+
+    async collectObjects() {
+        const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        const objectStreams = [];
+        let match;
+
+        while ((match = objectPattern.exec(this.text)) !== null) {
+            const start = match.index + match[0].length;
+            const endObj = this.text.indexOf('endobj', start);
+            if (endObj === -1) {
+                break;
+            }
+
+            const streamStart = this.findStreamKeyword(start, endObj);
+            const dictionary = this.text.slice(start, streamStart === -1 ? endObj : streamStart);
+
+            // Later definitions win, as in incremental updates
+            this.objects.set(match[1] + ' ' + match[2], dictionary);
+
+            if (streamStart !== -1) {
+                const streamEnd = this.findStreamEnd(dictionary, streamStart);
+                if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+                    objectStreams.push({ dictionary, start: this.skipEOL(streamStart + 6), end: streamEnd });
+                }
+                // Skip the binary stream data so it cannot produce false matches
+                objectPattern.lastIndex = Math.max(streamEnd, objectPattern.lastIndex);
+            } else {
+                objectPattern.lastIndex = endObj + 6;
+            }
+        }
+
+        for (const stream of objectStreams) {
+            try {
+                await this.readObjectStream(stream);
+            } catch (error) {
+                console.warn('Could not read object stream:', error);
+            }
+        }
+    }
+
+    findStreamKeyword(start, end) {
+        const index = this.text.indexOf('stream', start);
+        if (index === -1 || index > end) {
+            return -1;
+        }
+        const next = this.text[index + 6];
+        return next === '\r' || next === '\n' ? index : -1;
+    }
+
+    skipEOL(index) {
+        if (this.text[index] === '\r') {
+            index++;
+        }
+        if (this.text[index] === '\n') {
+            index++;
+        }
+        return index;
+    }
+
+    findStreamEnd(dictionary, streamStart) {
+        const dataStart = this.skipEOL(streamStart + 6);
+        const lengthMatch = dictionary.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+        if (lengthMatch) {
+            const end = dataStart + parseInt(lengthMatch[1], 10);
+            if (this.text.startsWith('endstream', this.skipEOL(end))) {
+                return end;
+            }
+        }
+
+        // Indirect or wrong /Length: fall back to the endstream keyword
+        let end = this.text.indexOf('endstream', dataStart);
+        if (end === -1) {
+            return this.text.length;
+        }
+        if (this.text[end - 1] === '\n') {
+            end--;
+        }
+        if (this.text[end - 1] === '\r') {
+            end--;
+        }
+        return end;
+    }
+
+    async readObjectStream(stream) {
+        let bytes = this.data.subarray(stream.start, stream.end);
+        if (/\/Filter\s*(\[\s*)?\/FlateDecode/.test(stream.dictionary)) {
+            bytes = await PDFTransParser.inflate(bytes);
+        } else if (/\/Filter/.test(stream.dictionary)) {
+            return; // Only Flate-compressed object streams are supported
+        }
+
+        const content = PDFTransParser.toBinaryString(bytes);
+        const count = parseInt((stream.dictionary.match(/\/N\s+(\d+)/) || [])[1], 10);
+        const first = parseInt((stream.dictionary.match(/\/First\s+(\d+)/) || [])[1], 10);
+        if (!count || isNaN(first)) {
+            return;
+        }
+
+        // Header: pairs of object number and offset relative to /First
+        const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const num = header[i * 2];
+            const offset = first + header[i * 2 + 1];
+            const end = i + 1 < count ? first + header[i * 2 + 3] : content.length;
+            // Objects in object streams always have generation 0
+            this.objects.set(num + ' 0', content.slice(offset, end));
+        }
+    }
+
+    static async inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    readTransDictionary(pageSource) {
+        const match = pageSource.match(/\/Trans(?![A-Za-z])\s*/);
+        if (!match) {
+            return null;
+        }
+
+        const valueStart = match.index + match[0].length;
+        let source;
+
+        if (pageSource.startsWith('<<', valueStart)) {
+            source = PDFTransParser.extractDictionary(pageSource, valueStart);
+        } else {
+            const ref = pageSource.slice(valueStart).match(/^(\d+)\s+(\d+)\s+R/);
+            source = ref ? this.objects.get(ref[1] + ' ' + ref[2]) : null;
+        }
+
+        return source ? PDFTransParser.parseTransDictionary(source) : null;
+    }
+
+    static extractDictionary(source, start) {
+        let depth = 0;
+        for (let i = start; i < source.length - 1; i++) {
+            if (source[i] === '<' && source[i + 1] === '<') {
+                depth++;
+                i++;
+            } else if (source[i] === '>' && source[i + 1] === '>') {
+                depth--;
+                i++;
+                if (depth === 0) {
+                    return source.slice(start, i + 1);
+                }
+            }
+        }
+        return null;
+    }
+
+    static parseTransDictionary(source) {
+        const name = (key) => {
+            const match = source.match(new RegExp('/' + key + '(?![A-Za-z])\\s*/([A-Za-z]+)'));
+            return match ? match[1] : undefined;
+        };
+        const number = (key) => {
+            const match = source.match(new RegExp('/' + key + '(?![A-Za-z])\\s*([-+]?[\\d.]+)'));
+            return match ? parseFloat(match[1]) : undefined;
+        };
+        const bool = source.match(/\/B(?![A-Za-z])\s*(true|false)/);
+
+        return {
+            S: name('S') || 'R',
+            D: number('D'),
+            Dm: name('Dm'),
+            M: name('M'),
+            Di: name('Di') || number('Di'),
+            SS: number('SS'),
+            B: bool ? bool[1] === 'true' : undefined
+        };
+    }
+}
@@ -0,0 +1,259 @@
+// PDF Transitions
+// This file provides shaders for the transition styles of the PDF specification
+// and maps /Trans dictionaries onto them. Shaders follow the gl-transitions contract.
+
+class PDFTransitions {
+    static getEntries() {
+        return PDFTransitions.entries;
+    }
+
+    // Map a parsed /Trans dictionary onto transition settings
+    static fromTransDictionary(trans) {
+        const duration = Math.round((trans.D !== undefined ? trans.D : 1) * 1000);
+        const angle = typeof trans.Di === 'number' ? trans.Di : 0;
+        const settings = { transition: 'none', duration: duration, params: {} };
+
+        switch (trans.S) {
+            case 'Split':
+                settings.transition = 'pdf:split';
+                settings.params = { vertical: trans.Dm === 'V', outward: trans.M === 'O' };
+                break;
+            case 'Blinds':
+                settings.transition = 'pdf:blinds';
+                settings.params = { vertical: trans.Dm === 'V' };
+                break;
+            case 'Box':
+                settings.transition = 'pdf:box';
+                settings.params = { outward: trans.M === 'O' };
+                break;
+            case 'Wipe':
+            case 'Glitter':
+            case 'Push':
+            case 'Cover':
+            case 'Uncover':
+                settings.transition = 'pdf:' + trans.S.toLowerCase();
+                settings.params = { angle: angle };
+                break;
+            case 'Dissolve':
+                settings.transition = 'pdf:dissolve';
+                break;
+            case 'Fly':
+                settings.transition = 'pdf:fly';
+                settings.params = {
+                    angle: angle,
+                    still: trans.Di === 'None',
+                    outward: trans.M === 'O',
+                    scale: trans.SS !== undefined ? trans.SS : 1.0
+                };
+                break;
+            case 'Fade':
+                settings.transition = 'fade';
+                break;
+            default:
+                // /R (replace) and unknown styles switch pages without animation
+                settings.transition = 'none';
+        }
+
+        return settings;
+    }
+}
+
+// Directions of /Di, in degrees counter-clockwise from left to right
+PDFTransitions.ANGLE_PARAM = {
+    label: 'Direction',
+    options: { 0: 'Left to right', 90: 'Bottom to top', 180: 'Right to left', 270: 'Top to bottom', 315: 'Top-left to bottom-right' }
+};
+
+PDFTransitions.entries = [
+    {
+        name: 'split',
+        label: 'Split',
+        paramsTypes: { vertical: 'bool', outward: 'bool' },
+        defaultParams: { vertical: false, outward: false },
+        glsl: `
+uniform bool vertical; // = false
+uniform bool outward; // = false
+
+vec4 transition(vec2 uv) {
+  float dist = abs((vertical ? uv.x : uv.y) - 0.5) * 2.0;
+  bool revealed = outward ? dist < progress : dist > 1.0 - progress;
+  return revealed ? getToColor(uv) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'blinds',
+        label: 'Blinds',
+        paramsTypes: { vertical: 'bool', count: 'float' },
+        defaultParams: { vertical: false, count: 6 },
+        paramsInfo: { count: { label: 'Blinds', min: 1, max: 20, step: 1 } },
+        glsl: `
+uniform bool vertical; // = false
+uniform float count; // = 6.0
+
+vec4 transition(vec2 uv) {
+  float x = vertical ? uv.x : 1.0 - uv.y;
+  return fract(x * count) < progress ? getToColor(uv) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'box',
+        label: 'Box',
+        paramsTypes: { outward: 'bool' },
+        defaultParams: { outward: false },
+        glsl: `
+uniform bool outward; // = false
+
+vec4 transition(vec2 uv) {
+  float dist = max(abs(uv.x - 0.5), abs(uv.y - 0.5)) * 2.0;
+  bool revealed = outward ? dist < progress : dist > 1.0 - progress;
+  return revealed ? getToColor(uv) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'wipe',
+        label: 'Wipe',
+        paramsTypes: { angle: 'float' },
+        defaultParams: { angle: 0 },
+        paramsInfo: { angle: PDFTransitions.ANGLE_PARAM },
+        glsl: `
+uniform float angle; // = 0.0
+
+vec4 transition(vec2 uv) {
+  vec2 d = vec2(cos(radians(angle)), sin(radians(angle)));
+  float s = dot(uv - 0.5, d) / (abs(d.x) + abs(d.y)) + 0.5;
+  return s < progress ? getToColor(uv) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'dissolve',
+        label: 'Dissolve',
+        paramsTypes: { cells: 'float' },
+        defaultParams: { cells: 80 },
+        paramsInfo: { cells: { label: 'Cells', min: 10, max: 200, step: 10 } },
+        glsl: `
+uniform float cells; // = 80.0
+
+float rand(vec2 co) {
+  return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+vec4 transition(vec2 uv) {
+  vec2 cell = floor(uv * vec2(cells * ratio, cells));
+  return rand(cell) < progress ? getToColor(uv) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'glitter',
+        label: 'Glitter',
+        paramsTypes: { angle: 'float', cells: 'float' },
+        defaultParams: { angle: 0, cells: 80 },
+        paramsInfo: { angle: PDFTransitions.ANGLE_PARAM, cells: { label: 'Cells', min: 10, max: 200, step: 10 } },
+        glsl: `
+uniform float angle; // = 0.0
+uniform float cells; // = 80.0
+
+float rand(vec2 co) {
+  return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+vec4 transition(vec2 uv) {
+  vec2 d = vec2(cos(radians(angle)), sin(radians(angle)));
+  float s = dot(uv - 0.5, d) / (abs(d.x) + abs(d.y)) + 0.5;
+  float value = mix(s, rand(floor(uv * vec2(cells * ratio, cells))), 0.5);
+  return value < progress ? getToColor(uv) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'fly',
+        label: 'Fly',
+        paramsTypes: { angle: 'float', still: 'bool', outward: 'bool', scale: 'float' },
+        defaultParams: { angle: 0, still: false, outward: false, scale: 1 },
+        paramsInfo: { angle: PDFTransitions.ANGLE_PARAM, scale: { label: 'Start scale', min: 0.1, max: 2, step: 0.05 } },
+        glsl: `
+uniform float angle; // = 0.0
+uniform bool still; // = false
+uniform bool outward; // = false
+uniform float scale; // = 1.0
+
+bool inBounds(vec2 p) {
+  return all(greaterThanEqual(p, vec2(0.0))) && all(lessThanEqual(p, vec2(1.0)));
+}
+
+vec4 transition(vec2 uv) {
+  vec2 d = still ? vec2(0.0) : vec2(cos(radians(angle)), sin(radians(angle)));
+  if (outward) {
+    vec2 p = (uv - 0.5 - d * progress) / mix(1.0, scale, progress) + 0.5;
+    return inBounds(p) ? getFromColor(p) : getToColor(uv);
+  }
+  vec2 p = (uv - 0.5 + d * (1.0 - progress)) / mix(scale, 1.0, progress) + 0.5;
+  return inBounds(p) ? getToColor(p) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'push',
+        label: 'Push',
+        paramsTypes: { angle: 'float' },
+        defaultParams: { angle: 0 },
+        paramsInfo: { angle: PDFTransitions.ANGLE_PARAM },
+        glsl: `
+uniform float angle; // = 0.0
+
+bool inBounds(vec2 p) {
+  return all(greaterThanEqual(p, vec2(0.0))) && all(lessThanEqual(p, vec2(1.0)));
+}
+
+vec4 transition(vec2 uv) {
+  vec2 d = floor(vec2(cos(radians(angle)), sin(radians(angle))) + 0.5);
+  vec2 toUV = uv + d * (1.0 - progress);
+  return inBounds(toUV) ? getToColor(toUV) : getFromColor(uv - d * progress);
+}
+`
+    },
+    {
+        name: 'cover',
+        label: 'Cover',
+        paramsTypes: { angle: 'float' },
+        defaultParams: { angle: 0 },
+        paramsInfo: { angle: PDFTransitions.ANGLE_PARAM },
+        glsl: `
+uniform float angle; // = 0.0
+
+bool inBounds(vec2 p) {
+  return all(greaterThanEqual(p, vec2(0.0))) && all(lessThanEqual(p, vec2(1.0)));
+}
+
+vec4 transition(vec2 uv) {
+  vec2 d = floor(vec2(cos(radians(angle)), sin(radians(angle))) + 0.5);
+  vec2 toUV = uv + d * (1.0 - progress);
+  return inBounds(toUV) ? getToColor(toUV) : getFromColor(uv);
+}
+`
+    },
+    {
+        name: 'uncover',
+        label: 'Uncover',
+        paramsTypes: { angle: 'float' },
+        defaultParams: { angle: 0 },
+        paramsInfo: { angle: PDFTransitions.ANGLE_PARAM },
+        glsl: `
+uniform float angle; // = 0.0
+
+bool inBounds(vec2 p) {
+  return all(greaterThanEqual(p, vec2(0.0))) && all(lessThanEqual(p, vec2(1.0)));
+}
+
+vec4 transition(vec2 uv) {
+  vec2 d = floor(vec2(cos(radians(angle)), sin(radians(angle))) + 0.5);
+  vec2 fromUV = uv - d * progress;
+  return inBounds(fromUV) ? getFromColor(fromUV) : getToColor(uv);
+}
+`
+    }
+];
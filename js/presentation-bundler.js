@@ -0,0 +1,107 @@
+// Presentation Bundler
+// This file packs the viewer, its libraries, the PDF and the deck profile into one offline HTML file
+
+class PresentationBundler {
+    // options: { pdfData, fileName, profile, settings }
+    async build(options) {
+        const worker = await PresentationBundler.fetchText(pdfjsLib.GlobalWorkerOptions.workerSrc);
+        const presenterHtml = await this.inlineDocument('presenter.html');
+
+        // Everything the viewer reads at start-up; '<' is escaped so the JSON can't close its script tag
+        const bundle = {
+            fileName: options.fileName,
+            pdf: PresentationBundler.toBase64(options.pdfData),
+            profile: options.profile,
+            settings: options.settings,
+            presenterHtml: presenterHtml
+        };
+        const bundleScript = 'window.PDF_TRANSITIONS_BUNDLE = ' +
+            JSON.stringify(bundle).replace(/</g, '\\u003c') + ';';
+
+        const html = await this.inlineDocument(PresentationBundler.VIEWER_URL, (doc) => {
+            const title = doc.querySelector('title');
+            title.textContent = options.fileName.replace(/\.pdf$/i, '') + ' - ' + title.textContent;
+
+            // The PDF.js worker runs from a Blob URL created from an inert script element
+            const workerElement = doc.createElement('script');
+            workerElement.type = 'text/plain';
+            workerElement.id = 'pdfjs-worker';
+            workerElement.textContent = PresentationBundler.escapeScript(worker);
+
+            const workerSetup = doc.createElement('script');
+            workerSetup.textContent = 'pdfjsLib.GlobalWorkerOptions.workerSrc = URL.createObjectURL(new Blob(' +
+                '[document.getElementById(\'pdfjs-worker\').textContent], { type: \'text/javascript\' }));';
+
+            const bundleElement = doc.createElement('script');
+            bundleElement.textContent = bundleScript;
+
+            const appScript = doc.querySelector('script[data-src$="js/app.js"]');
+            appScript.before(workerElement, workerSetup, bundleElement);
+        });
+
+        return new Blob([html], { type: 'text/html' });
+    }
+
+    // Fetch a page of the app and replace its external scripts and stylesheets with inline copies
+    async inlineDocument(url, transform = null) {
+        const baseUrl = new URL(url, document.baseURI).href;
+        const source = await PresentationBundler.fetchText(baseUrl);
+        const doc = new DOMParser().parseFromString(source, 'text/html');
+
+        for (const script of doc.querySelectorAll('script[src]')) {
+            const src = script.getAttribute('src');
+            const text = await PresentationBundler.fetchText(new URL(src, baseUrl).href);
+            script.removeAttribute('src');
+            script.setAttribute('data-src', src);
+            script.textContent = PresentationBundler.escapeScript(text);
+        }
+
+        for (const link of doc.querySelectorAll('link[rel="stylesheet"]')) {
+            const style = doc.createElement('style');
+            style.textContent = await PresentationBundler.fetchText(new URL(link.getAttribute('href'), baseUrl).href);
+            link.replaceWith(style);
+        }
+
+        if (transform) {
+            transform(doc);
+        }
+        return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+    }
+
+    static async fetchText(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error('Failed to fetch ' + url + ' (' + response.status + ')');
+        }
+        return response.text();
+    }
+
+    // Inline scripts must not contain anything the HTML parser reads as the end of the element
+    static escapeScript(text) {
+        return text.replace(/<\/script/gi, '<\\/script').replace(/<!--/g, '<\\!--');
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // A bundle can't fetch its own sources again, so it can't be re-exported
+    static isSupported() {
+        return !window.PDF_TRANSITIONS_BUNDLE && location.protocol !== 'file:';
+    }
+}
+
+PresentationBundler.VIEWER_URL = 'index.html';
@@ -0,0 +1,45 @@
+// Presenter Sync
+// This file wraps the BroadcastChannel shared by the audience and presenter windows
+
+class PresenterSync {
+    constructor(channelName = PresenterSync.CHANNEL) {
+        this.handlers = new Map();
+        this.channel = null;
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel not supported, presenter view unavailable');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(channelName);
+        this.channel.onmessage = (e) => {
+            const handler = this.handlers.get(e.data && e.data.type);
+            if (handler) {
+                handler(e.data);
+            }
+        };
+    }
+
+    isAvailable() {
+        return this.channel !== null;
+    }
+
+    on(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    send(type, payload = {}) {
+        if (this.channel) {
+            this.channel.postMessage(Object.assign({ type: type }, payload));
+        }
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+PresenterSync.CHANNEL = 'pdf-transitions-presenter';
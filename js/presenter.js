@@ -0,0 +1,227 @@
+// Presenter Console
+// This file drives the presenter window: current and next slide, timers, clock and speaker notes
+
+class PresenterConsole {
+    constructor() {
+        this.sync = new PresenterSync();
+        this.id = Date.now().toString(36) + Math.random().toString(36).slice(2); // Sent with hello and bye
+        this.currentPage = 0;
+        this.totalPages = 0;
+        this.slideUrls = { current: null, next: null, notes: null };
+
+        // Talk timer
+        this.timerStart = null;
+        this.timerElapsed = 0; // Elapsed time before the last pause, in ms
+        this.timerInterval = null;
+
+        this.init();
+    }
+
+    init() {
+        this.initializeElements();
+        this.setupEventListeners();
+        this.setupSyncHandlers();
+
+        // Clock and timers tick every second
+        this.timerInterval = setInterval(() => this.updateTimers(), 1000);
+        this.updateTimers();
+
+        // Ask the audience window for its current state
+        this.sync.send('hello', { id: this.id });
+
+        console.log('Presenter console initialized');
+    }
+
+    initializeElements() {
+        this.currentSlideImg = document.getElementById('currentSlide');
+        this.nextSlideImg = document.getElementById('nextSlide');
+        this.nextSlideLabel = document.getElementById('nextSlideLabel');
+        this.pageInfo = document.getElementById('presenterPageInfo');
+        this.status = document.getElementById('presenterStatus');
+
+        this.prevButton = document.getElementById('presenterPrev');
+        this.nextButton = document.getElementById('presenterNext');
+
+        this.elapsedSpan = document.getElementById('elapsedTime');
+        this.remainingSpan = document.getElementById('remainingTime');
+        this.clockSpan = document.getElementById('clock');
+        this.plannedInput = document.getElementById('plannedMinutes');
+        this.timerToggleBtn = document.getElementById('timerToggle');
+        this.timerResetBtn = document.getElementById('timerReset');
+
+        this.notesArea = document.getElementById('speakerNotes');
+        this.pdfNotesDiv = document.getElementById('pdfNotes');
+        this.notesSlideImg = document.getElementById('notesSlide');
+    }
+
+    setupEventListeners() {
+        this.prevButton.addEventListener('click', () => this.navigate('previous'));
+        this.nextButton.addEventListener('click', () => this.navigate('next'));
+
+        this.timerToggleBtn.addEventListener('click', () => this.toggleTimer());
+        this.timerResetBtn.addEventListener('click', () => this.resetTimer());
+        this.plannedInput.addEventListener('change', () => this.updateTimers());
+
+        // Notes are saved in the deck profile of the audience window
+        this.notesArea.addEventListener('input', () => {
+            this.sync.send('notes', { page: this.currentPage, text: this.notesArea.value });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target === this.notesArea || e.target === this.plannedInput) {
+                return;
+            }
+            // Shift + arrows jump between logical slides
+            if (e.shiftKey && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+                this.navigate(e.key === 'ArrowRight' ? 'nextSlide' : 'previousSlide');
+                return;
+            }
+            if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === 'PageDown' || e.key === ' ') {
+                e.preventDefault();
+                this.navigate('next');
+            }
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'PageUp') {
+                e.preventDefault();
+                this.navigate('previous');
+            }
+        });
+
+        window.addEventListener('beforeunload', () => {
+            this.sync.send('bye', { id: this.id });
+            this.sync.close();
+        });
+    }
+
+    setupSyncHandlers() {
+        this.sync.on('state', (message) => {
+            // Slide changes made in the audience window also start the timer
+            if (this.currentPage && message.page !== this.currentPage) {
+                this.startTimerIfIdle();
+            }
+
+            this.currentPage = message.page;
+            this.totalPages = message.totalPages;
+            this.pageInfo.textContent = (message.slideLabel ? 'Slide ' + message.slideLabel + ', page ' : '') +
+                message.page + ' / ' + message.totalPages;
+            this.status.textContent = message.deckName || '';
+            this.prevButton.disabled = message.page <= 1;
+            this.nextButton.disabled = message.page >= message.totalPages;
+
+            // Don't overwrite notes that are being typed
+            if (document.activeElement !== this.notesArea) {
+                this.notesArea.value = message.notes || '';
+            }
+            this.pdfNotesDiv.textContent = '';
+
+            if (message.page >= message.totalPages) {
+                this.setSlideImage('next', null);
+                this.nextSlideLabel.textContent = 'End of presentation';
+            } else {
+                this.nextSlideLabel.textContent = 'Next: ' + (message.page + 1);
+            }
+        });
+
+        // Notes found in the PDF itself are read-only
+        this.sync.on('pdfNotes', (message) => {
+            if (message.page === this.currentPage) {
+                this.pdfNotesDiv.textContent = message.text;
+            }
+        });
+
+        // The audience window was reloaded
+        this.sync.on('reconnect', () => {
+            this.sync.send('hello', { id: this.id });
+        });
+
+        this.sync.on('slide', (message) => {
+            // Ignore images that arrive after a newer navigation
+            if (message.page !== this.currentPage) {
+                return;
+            }
+            this.setSlideImage(message.role, message.image);
+        });
+    }
+
+    setSlideImage(role, blob) {
+        const images = { current: this.currentSlideImg, next: this.nextSlideImg, notes: this.notesSlideImg };
+        const img = images[role];
+
+        if (this.slideUrls[role]) {
+            URL.revokeObjectURL(this.slideUrls[role]);
+            this.slideUrls[role] = null;
+        }
+
+        if (blob) {
+            this.slideUrls[role] = URL.createObjectURL(blob);
+            img.src = this.slideUrls[role];
+            img.style.visibility = 'visible';
+        } else {
+            img.removeAttribute('src');
+            img.style.visibility = 'hidden';
+        }
+
+        // The notes page takes no room when there is none
+        if (role === 'notes') {
+            img.style.display = blob ? 'block' : 'none';
+        }
+    }
+
+    navigate(action, page = null) {
+        this.startTimerIfIdle();
+        this.sync.send('navigate', { action: action, page: page });
+    }
+
+    // Start the talk timer with the first slide change
+    startTimerIfIdle() {
+        if (this.timerStart === null && this.timerElapsed === 0) {
+            this.toggleTimer();
+        }
+    }
+
+    toggleTimer() {
+        if (this.timerStart === null) {
+            this.timerStart = Date.now();
+            this.timerToggleBtn.textContent = 'Pause';
+        } else {
+            this.timerElapsed += Date.now() - this.timerStart;
+            this.timerStart = null;
+            this.timerToggleBtn.textContent = 'Start';
+        }
+        this.updateTimers();
+    }
+
+    resetTimer() {
+        this.timerElapsed = 0;
+        this.timerStart = this.timerStart === null ? null : Date.now();
+        this.updateTimers();
+    }
+
+    getElapsed() {
+        return this.timerElapsed + (this.timerStart === null ? 0 : Date.now() - this.timerStart);
+    }
+
+    updateTimers() {
+        const elapsed = this.getElapsed();
+        const planned = (parseFloat(this.plannedInput.value) || 0) * 60000;
+        const remaining = planned - elapsed;
+
+        this.elapsedSpan.textContent = PresenterConsole.formatTime(elapsed);
+        this.remainingSpan.textContent = (remaining < 0 ? '-' : '') + PresenterConsole.formatTime(Math.abs(remaining));
+        this.remainingSpan.classList.toggle('overtime', remaining < 0);
+        this.clockSpan.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    static formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (n) => String(n).padStart(2, '0');
+        return (hours > 0 ? hours + ':' + pad(minutes) : minutes) + ':' + pad(seconds);
+    }
+}
+
+// Initialize the presenter console when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.presenter = new PresenterConsole();
+});
@@ -0,0 +1,227 @@
+// Search Panel
+// This file searches the text of every page of the deck and lists the matches, to jump to the
+// slide that mentions a word. The text is indexed page by page the first time the panel is used.
+
+class SearchPanel {
+    // container holds the query field (.search-input), a status line (.search-status) and the
+    // list of matches (.search-results)
+    constructor(container, pdfHandler) {
+        this.container = container;
+        this.input = container.querySelector('.search-input');
+        this.status = container.querySelector('.search-status');
+        this.resultsList = container.querySelector('.search-results');
+        this.pdfHandler = pdfHandler;
+        this.pages = []; // Page number - 1 -> text, see PDFHandler.getPageText()
+        this.indexing = null; // Promise while the pages are being read
+        this.indexGeneration = 0; // Bumped by every reset, drops an index that finishes late
+        this.query = '';
+        this.matches = []; // { page, start, end } in document order
+        this.current = -1; // Index into matches of the one shown
+
+        this.onChoose = null; // (match)
+        this.onMatchesChange = null; // Called when another query changes the matches
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.search(this.input.value));
+
+        // Enter steps through the matches, Shift+Enter goes back, Escape closes
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (this.matches.length > 0) {
+                    const step = e.shiftKey ? -1 : 1;
+                    this.choose((this.current + step + this.matches.length) % this.matches.length);
+                }
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        this.resultsList.addEventListener('click', (e) => {
+            const element = e.target.closest('.search-result');
+            if (element) {
+                this.choose(parseInt(element.dataset.index, 10));
+            }
+        });
+    }
+
+    isOpen() {
+        return this.container.classList.contains('open');
+    }
+
+    open() {
+        this.container.classList.add('open');
+        this.input.focus();
+        this.input.select();
+        this.buildIndex();
+    }
+
+    close() {
+        this.container.classList.remove('open');
+        this.input.blur();
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // Forget the index and the matches, e.g. after another PDF was loaded
+    reset() {
+        this.indexGeneration++;
+        this.pages = [];
+        this.indexing = null;
+        this.query = '';
+        this.matches = [];
+        this.current = -1;
+        this.input.value = '';
+        this.status.textContent = '';
+        this.resultsList.innerHTML = '';
+    }
+
+    buildIndex() {
+        if (!this.indexing && this.pdfHandler.isPDFLoaded()) {
+            this.indexing = this.readPages(this.indexGeneration);
+        }
+        return this.indexing;
+    }
+
+    async readPages(generation) {
+        const pageCount = this.pdfHandler.getPageCount();
+        const pages = [];
+
+        for (let page = 1; page <= pageCount; page++) {
+            if (generation !== this.indexGeneration) {
+                return;
+            }
+            this.status.textContent = 'Indexing page ' + page + ' of ' + pageCount + '...';
+            pages.push((await this.pdfHandler.getPageText(page)).text);
+        }
+
+        if (generation === this.indexGeneration) {
+            this.pages = pages;
+            this.status.textContent = '';
+            this.search(this.input.value);
+        }
+    }
+
+    // Case-insensitive; spaces in the query also match line breaks between text runs
+    static buildPattern(query) {
+        const words = query.trim().split(/\s+/).map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(words.join('\\s+'), 'gi');
+    }
+
+    search(query) {
+        this.query = query.trim();
+        this.matches = [];
+        this.current = -1;
+        this.resultsList.innerHTML = '';
+
+        if (this.query !== '' && this.pages.length > 0) {
+            const pattern = SearchPanel.buildPattern(this.query);
+            this.pages.forEach((text, index) => {
+                for (const match of text.matchAll(pattern)) {
+                    this.matches.push({ page: index + 1, start: match.index, end: match.index + match[0].length });
+                }
+            });
+
+            this.status.textContent = this.matches.length === 0 ? 'No matches' :
+                this.matches.length === 1 ? '1 match' : this.matches.length + ' matches';
+            this.renderResults();
+        } else if (this.pages.length > 0) {
+            this.status.textContent = '';
+        }
+
+        if (this.onMatchesChange) {
+            this.onMatchesChange();
+        }
+    }
+
+    renderResults() {
+        const shown = this.matches.slice(0, SearchPanel.MAX_RESULTS);
+
+        shown.forEach((match, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'search-result';
+            button.dataset.index = index;
+
+            const label = document.createElement('span');
+            label.className = 'search-page';
+            label.textContent = 'Page ' + this.pdfHandler.getPageLabel(match.page);
+            button.appendChild(label);
+            button.appendChild(this.renderSnippet(match));
+
+            item.appendChild(button);
+            this.resultsList.appendChild(item);
+        });
+
+        if (this.matches.length > shown.length) {
+            const more = document.createElement('li');
+            more.className = 'search-more';
+            more.textContent = (this.matches.length - shown.length) + ' more, refine the search to see them';
+            this.resultsList.appendChild(more);
+        }
+    }
+
+    // The match with a few words of context on both sides
+    renderSnippet(match) {
+        const text = this.pages[match.page - 1];
+        const from = Math.max(0, match.start - SearchPanel.CONTEXT_LENGTH);
+        const to = Math.min(text.length, match.end + SearchPanel.CONTEXT_LENGTH);
+        const flatten = (part) => part.replace(/\s+/g, ' ');
+
+        const snippet = document.createElement('span');
+        snippet.className = 'search-snippet';
+        snippet.appendChild(document.createTextNode((from > 0 ? '...' : '') + flatten(text.slice(from, match.start))));
+        const mark = document.createElement('mark');
+        mark.textContent = flatten(text.slice(match.start, match.end));
+        snippet.appendChild(mark);
+        snippet.appendChild(document.createTextNode(flatten(text.slice(match.end, to)) + (to < text.length ? '...' : '')));
+        return snippet;
+    }
+
+    choose(index) {
+        const match = this.matches[index];
+        if (!match) {
+            return;
+        }
+
+        const previous = this.resultsList.querySelector('.search-result.current');
+        if (previous) {
+            previous.classList.remove('current');
+        }
+        const element = this.resultsList.querySelector('.search-result[data-index="' + index + '"]');
+        if (element) {
+            element.classList.add('current');
+            element.scrollIntoView({ block: 'nearest' });
+        }
+
+        this.current = index;
+        if (this.onChoose) {
+            this.onChoose(match);
+        }
+    }
+
+    getCurrentMatch() {
+        return this.matches[this.current] || null;
+    }
+
+    // Matches of the current query on a page, to highlight in the text layer
+    getPageMatches(pageNumber) {
+        const current = this.getCurrentMatch();
+        return this.matches
+            .filter((match) => match.page === pageNumber)
+            .map((match) => ({ start: match.start, end: match.end, current: match === current }));
+    }
+}
+
+SearchPanel.MAX_RESULTS = 200; // Matches listed at once
+SearchPanel.CONTEXT_LENGTH = 40; // Characters of context around a match
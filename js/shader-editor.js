@@ -0,0 +1,361 @@
+// Shader Editor
+// This file lets the user write transition shaders, shows compiler errors against their own
+// line numbers, loops a preview between two pages and keeps finished shaders in the custom library
+
+class ShaderEditor {
+    // elements: { name, list, source, compileButton, saveButton, deleteButton, errors,
+    //             canvas, fromPage, toPage, scrubber, loop }
+    constructor(elements, transitionLibrary, customTransitions) {
+        this.elements = elements;
+        this.transitionLibrary = transitionLibrary;
+        this.customTransitions = customTransitions;
+        this.webglUtils = new WebGLUtils(elements.canvas);
+        this.webglUtils.setTransitionLibrary(transitionLibrary);
+        this.images = null; // [from, to] shown by the preview
+        this.compiled = false; // The draft compiled and its transition is set up
+        this.frame = null; // Pending animation frame of the loop
+        this.loopStart = 0;
+        this.visible = true; // The loop only runs while the preview is on screen
+        this.sampleCards = null;
+
+        this.getPageImage = null; // async (pageNumber) => image of that page, or null without a PDF
+        this.onLibraryChanged = null; // Called after a custom transition was saved or deleted
+
+        this.webglUtils.onContextRestored = () => {
+            if (this.compiled) {
+                this.compile();
+            }
+        };
+
+        this.elements.source.value = ShaderEditor.TEMPLATE;
+        this.setupEventListeners();
+        this.renderList();
+    }
+
+    isSupported() {
+        return Boolean(this.webglUtils.gl);
+    }
+
+    setupEventListeners() {
+        const el = this.elements;
+        el.compileButton.addEventListener('click', () => this.compile());
+        el.saveButton.addEventListener('click', () => this.save());
+        el.deleteButton.addEventListener('click', () => this.remove());
+        el.list.addEventListener('change', () => this.load(el.list.value));
+
+        // Ctrl+Enter compiles; Tab indents instead of leaving the editor
+        el.source.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.compile();
+            } else if (e.key === 'Tab' && !e.shiftKey) {
+                e.preventDefault();
+                el.source.setRangeText('    ', el.source.selectionStart, el.source.selectionEnd, 'end');
+            }
+        });
+
+        el.fromPage.addEventListener('change', () => this.loadPages());
+        el.toPage.addEventListener('change', () => this.loadPages());
+
+        // Scrubbing stops the loop at the chosen progress
+        el.scrubber.addEventListener('input', () => {
+            el.loop.checked = false;
+            this.renderProgress(parseFloat(el.scrubber.value));
+        });
+        el.loop.addEventListener('change', () => this.requestFrame());
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            new IntersectionObserver((entries) => {
+                this.visible = entries[entries.length - 1].isIntersecting;
+                this.requestFrame();
+            }).observe(el.canvas);
+        }
+    }
+
+    // Page range of the loaded PDF; the preview starts with its first two pages
+    setPageCount(count) {
+        for (const input of [this.elements.fromPage, this.elements.toPage]) {
+            input.max = count;
+        }
+        this.elements.fromPage.value = 1;
+        this.elements.toPage.value = Math.min(2, count);
+        return this.loadPages();
+    }
+
+    async loadPages() {
+        const pages = [this.elements.fromPage, this.elements.toPage].map((input) => parseInt(input.value, 10) || 1);
+        let images = null;
+        if (this.getPageImage) {
+            try {
+                images = await Promise.all(pages.map((page) => this.getPageImage(page)));
+            } catch (error) {
+                console.error('Error rendering preview pages:', error);
+            }
+        }
+
+        if (!images || images.some((image) => !image)) {
+            this.sampleCards = this.sampleCards || [
+                TransitionPreview.createSampleCard('A', '#667eea'),
+                TransitionPreview.createSampleCard('B', '#e67e22')
+            ];
+            images = this.sampleCards;
+        }
+
+        this.images = images;
+        if (this.compiled) {
+            this.start();
+        }
+    }
+
+    // Compile the draft and, when it compiles, loop it in the preview. Returns whether it compiled.
+    compile() {
+        if (!this.isSupported()) {
+            return false;
+        }
+
+        const glsl = this.elements.source.value;
+        const entry = CustomTransitions.toEntry(ShaderEditor.DRAFT_NAME, glsl);
+        this.stop();
+        this.compiled = false;
+
+        this.transitionLibrary.unregister(ShaderEditor.DRAFT);
+        if (!this.transitionLibrary.register(entry, 'draft')) {
+            this.showErrors([{ line: null, message: TransitionLibrary.getUnsupportedReason(entry) }]);
+            return false;
+        }
+
+        // The draft goes through WebGLUtils.getProgram like any other transition
+        this.webglUtils.clearProgramCache();
+        this.webglUtils.lastError = null;
+        if (!this.webglUtils.getProgram(ShaderEditor.DRAFT)) {
+            const error = this.webglUtils.lastError || { stage: 'fragment', log: 'Unknown error' };
+            const offset = ShaderPreamble.lineOffset(entry.fullShader);
+            this.showErrors(ShaderEditor.parseErrors(error, offset, glsl.split('\n').length));
+            return false;
+        }
+
+        this.showErrors([]);
+        this.compiled = true;
+        this.start();
+        return true;
+    }
+
+    // Compiler messages as [{ line, message }], line counted in the user's source (null if unknown).
+    // Messages look like 'ERROR: 0:12: ...' and count lines of the whole fragment shader.
+    static parseErrors(error, offset, lineCount) {
+        const stage = { vertex: 'Vertex shader', fragment: 'Fragment shader', link: 'Link' }[error.stage];
+        const errors = [];
+
+        // Some drivers end the log with a NUL character
+        for (const text of String(error.log).replace(/\0/g, '').split('\n').map((line) => line.trim())) {
+            if (!text || /^ERROR:\s*\d+\s+compilation errors?/i.test(text)) {
+                continue;
+            }
+
+            const match = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(text);
+            if (!match) {
+                errors.push({ line: null, message: stage + ': ' + text });
+                continue;
+            }
+
+            const line = parseInt(match[2], 10) - offset;
+            if (line < 1) {
+                errors.push({ line: null, message: match[3] + ' (in the shader preamble)' });
+            } else if (line > lineCount) {
+                errors.push({ line: null, message: match[3] + ' (in the generated main, is transition() defined?)' });
+            } else {
+                errors.push({ line: line, message: (match[1] === 'WARNING' ? 'Warning: ' : '') + match[3] });
+            }
+        }
+
+        if (errors.length === 0) {
+            errors.push({ line: null, message: stage + ' failed' });
+        }
+        return errors;
+    }
+
+    showErrors(errors) {
+        const list = this.elements.errors;
+        list.innerHTML = '';
+
+        for (const error of errors) {
+            const item = document.createElement('li');
+            if (error.line !== null) {
+                const button = document.createElement('button');
+                button.className = 'shader-error-line';
+                button.textContent = 'Line ' + error.line;
+                button.addEventListener('click', () => this.selectLine(error.line));
+                item.appendChild(button);
+            }
+            item.appendChild(document.createTextNode(error.message));
+            list.appendChild(item);
+        }
+    }
+
+    // Select a line of the source and scroll it into view
+    selectLine(line) {
+        const source = this.elements.source;
+        const lines = source.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+
+        source.focus();
+        source.setSelectionRange(start, start + lines[line - 1].length);
+        const lineHeight = parseFloat(getComputedStyle(source).lineHeight) || 16;
+        source.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+
+    // Set up the draft between the two preview pages and play it from the start
+    async start() {
+        if (!this.images) {
+            await this.loadPages();
+            return;
+        }
+
+        // Cached page bitmaps may have been evicted (and closed) meanwhile
+        if (this.images.some((image) => image.width === 0)) {
+            await this.loadPages();
+            return;
+        }
+
+        const canvas = this.elements.canvas;
+        const [from, to] = this.images;
+        canvas.height = Math.round(canvas.width * from.height / from.width);
+        this.webglUtils.resize(canvas.width, canvas.height);
+
+        if (!this.webglUtils.beginTransition(from, to, ShaderEditor.DRAFT, 1, {
+            fromRect: TransitionPreview.fitImage(from, canvas),
+            toRect: TransitionPreview.fitImage(to, canvas),
+            background: ShaderEditor.BACKGROUND
+        })) {
+            return;
+        }
+
+        this.loopStart = performance.now();
+        this.renderProgress(parseFloat(this.elements.scrubber.value));
+        this.requestFrame();
+    }
+
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.webglUtils.endTransition();
+    }
+
+    requestFrame() {
+        if (this.frame || !this.visible || !this.elements.loop.checked || !this.webglUtils.transitionState) {
+            return;
+        }
+        this.frame = requestAnimationFrame((now) => this.animate(now));
+    }
+
+    // One loop is the transition followed by a pause on the new page
+    animate(now) {
+        this.frame = null;
+        if (!this.visible || !this.elements.loop.checked) {
+            return;
+        }
+
+        const cycle = ShaderEditor.LOOP_DURATION + ShaderEditor.LOOP_PAUSE;
+        const progress = Math.min(((now - this.loopStart) % cycle) / ShaderEditor.LOOP_DURATION, 1.0);
+        this.elements.scrubber.value = progress;
+        this.renderProgress(progress);
+        this.requestFrame();
+    }
+
+    renderProgress(progress) {
+        this.webglUtils.renderTransitionFrame(progress);
+    }
+
+    renderList() {
+        const list = this.elements.list;
+        const selected = list.value;
+        list.innerHTML = '';
+
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'New transition';
+        list.appendChild(option);
+
+        for (const shader of this.customTransitions.list()) {
+            const option = document.createElement('option');
+            option.value = shader.name;
+            option.textContent = shader.name;
+            list.appendChild(option);
+        }
+        list.value = this.customTransitions.get(selected) !== null ? selected : '';
+    }
+
+    load(name) {
+        const glsl = this.customTransitions.get(name);
+        this.elements.name.value = glsl !== null ? name : '';
+        this.elements.source.value = glsl !== null ? glsl : ShaderEditor.TEMPLATE;
+        this.compile();
+    }
+
+    // Only shaders that compile are saved
+    save() {
+        const name = this.elements.name.value.trim();
+        if (!name) {
+            this.showErrors([{ line: null, message: 'Give the transition a name to save it' }]);
+            this.elements.name.focus();
+            return;
+        }
+        if (!this.compile()) {
+            return;
+        }
+
+        const glsl = this.elements.source.value;
+        this.customTransitions.set(name, glsl);
+        this.transitionLibrary.register(CustomTransitions.toEntry(name, glsl), 'custom');
+        this.renderList();
+        this.elements.list.value = name;
+        console.log('Saved custom transition', name);
+
+        if (this.onLibraryChanged) {
+            this.onLibraryChanged();
+        }
+    }
+
+    remove() {
+        const name = this.elements.list.value;
+        if (!name || !confirm('Delete the transition "' + name + '"?')) {
+            return;
+        }
+
+        this.customTransitions.remove(name);
+        this.transitionLibrary.unregister('custom:' + name);
+        this.renderList();
+        this.load('');
+        console.log('Deleted custom transition', name);
+
+        if (this.onLibraryChanged) {
+            this.onLibraryChanged();
+        }
+    }
+}
+
+ShaderEditor.DRAFT_NAME = 'editor';
+ShaderEditor.DRAFT = 'draft:editor'; // Library entry of the shader being edited, never listed
+
+ShaderEditor.LOOP_DURATION = 1500; // ms
+ShaderEditor.LOOP_PAUSE = 500;
+ShaderEditor.BACKGROUND = '#2c3e50';
+
+// Starting point for a new transition, written against the gl-transitions contract
+ShaderEditor.TEMPLATE = `// vec4 transition(vec2 uv) returns the colour at uv (bottom-left origin) for the
+// current progress (0.0 to 1.0). getFromColor(uv) and getToColor(uv) sample the
+// old and new page, ratio is width / height. Parameters are uniforms with a
+// default in a comment. A shader with its own main() is used as it is: it
+// samples u_texture1 and u_texture2 at v_texCoord (top-left origin) and reads
+// u_progress and u_direction.
+
+uniform float smoothness; // = 0.3
+
+vec4 transition(vec2 uv) {
+    float edge = progress * (1.0 + smoothness);
+    float t = smoothstep(edge - smoothness, edge, uv.x);
+    return mix(getToColor(uv), getFromColor(uv), t);
+}
+`;
@@ -0,0 +1,148 @@
+// Shader Preamble
+// This file holds the GLSL shared by every transition: uniforms, texture access and colour helpers
+
+class ShaderPreamble {
+    // Wrap a transition written against the gl-transitions contract, vec4 transition(vec2 uv),
+    // into a complete fragment shader for our textures and uniforms
+    static compose(transitionGlsl) {
+        return ShaderPreamble.HEADER + '\n' + transitionGlsl + '\n' + ShaderPreamble.MAIN;
+    }
+
+    // A complete fragment shader with its own main() is kept as it is; its main() is renamed and
+    // called from one that draws the overlays over its colour
+    static composeFull(shaderGlsl) {
+        return ShaderPreamble.FULL_HEADER + '\n' + shaderGlsl + '\n' + ShaderPreamble.FULL_MAIN;
+    }
+
+    // Lines in front of the user's source in a composed shader, to map compiler messages back
+    static lineOffset(fullShader = false) {
+        return (fullShader ? ShaderPreamble.FULL_HEADER : ShaderPreamble.HEADER).split('\n').length;
+    }
+}
+
+// Overlays (a blanked screen, the laser pointer) drawn over every frame, after the transition.
+// uv has a bottom-left origin, aspect is the width / height of the output.
+ShaderPreamble.OVERLAYS = `
+    uniform vec4 u_blank; // Colour of a blanked screen, alpha is how much it covers
+    uniform vec4 u_pointer; // Laser pointer: x, y in uv, radius in output heights, visibility
+
+    // Blank screen, then a red laser spot with a soft glow on top
+    vec4 drawOverlays(vec4 color, vec2 uv, float aspect) {
+        color = mix(color, vec4(u_blank.rgb, 1.0), u_blank.a);
+        float dist = length((uv - u_pointer.xy) * vec2(aspect, 1.0));
+        float spot = 1.0 - smoothstep(u_pointer.z * 0.6, u_pointer.z, dist);
+        float glow = (1.0 - smoothstep(u_pointer.z, u_pointer.z * 3.0, dist)) * 0.35;
+        return mix(color, vec4(1.0, 0.15, 0.1, 1.0), max(spot, glow) * u_pointer.w);
+    }
+`;
+
+// uv has a bottom-left origin like gl-transitions. Page textures are stored top row first (canvases
+// and ImageBitmaps upload alike) and premultiplied, so colours are premultiplied sRGB.
+// u_ratio is the width / height of the output.
+// Pages of different sizes share one stage: u_rect1/u_rect2 hold each page's content rectangle
+// (x, y, width, height in stage uv) and the stage around them shows u_background.
+// Helper names avoid those used by the gl-transitions collection (e.g. its 'direction' uniforms).
+// Overlays (a blanked screen, the laser pointer) are drawn over every frame, after the transition.
+ShaderPreamble.HEADER = `
+    precision highp float;
+    uniform sampler2D u_texture1;
+    uniform sampler2D u_texture2;
+    uniform float u_progress;
+    uniform float u_direction;
+    uniform float u_ratio;
+    uniform vec4 u_rect1;
+    uniform vec4 u_rect2;
+    uniform vec4 u_background;
+    varying vec2 v_texCoord;
+${ShaderPreamble.OVERLAYS}
+
+    float progress;
+    float ratio;
+
+    // 1.0 inside the unit square, 0.0 outside
+    float insidePage(vec2 uv) {
+        vec2 s = step(vec2(0.0), uv) * step(uv, vec2(1.0));
+        return s.x * s.y;
+    }
+
+    // Sample a page inside its content rectangle, with the stage background around it
+    vec4 samplePage(sampler2D page, vec4 rect, vec2 uv) {
+        vec2 local = (uv - rect.xy) / rect.zw;
+        vec4 color = texture2D(page, vec2(local.x, 1.0 - local.y));
+        return mix(u_background, color, insidePage(local));
+    }
+
+    vec4 getFromColor(vec2 uv) {
+        return samplePage(u_texture1, u_rect1, uv);
+    }
+
+    vec4 getToColor(vec2 uv) {
+        return samplePage(u_texture2, u_rect2, uv);
+    }
+
+    // Aspect-corrected position relative to the centre, for circles and rotations that stay round
+    vec2 aspectCorrect(vec2 uv) {
+        return (uv - 0.5) * vec2(ratio, 1.0);
+    }
+
+    vec2 aspectRestore(vec2 p) {
+        return p / vec2(ratio, 1.0) + 0.5;
+    }
+
+    // sRGB transfer functions
+    vec3 linearize(vec3 c) {
+        return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+    }
+
+    vec3 delinearize(vec3 c) {
+        return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+    }
+
+    // Premultiplied sRGB <-> premultiplied linear
+    vec4 toLinear(vec4 c) {
+        if (c.a <= 0.0) return vec4(0.0);
+        return vec4(linearize(c.rgb / c.a) * c.a, c.a);
+    }
+
+    vec4 toGamma(vec4 c) {
+        if (c.a <= 0.0) return vec4(0.0);
+        return vec4(delinearize(c.rgb / c.a) * c.a, c.a);
+    }
+
+    // Cross-fade in linear light, without the dark dip of mixing sRGB values
+    vec4 mixLinear(vec4 a, vec4 b, float t) {
+        return toGamma(mix(toLinear(a), toLinear(b), t));
+    }
+
+    vec4 applyOverlays(vec4 color) {
+        return drawOverlays(color, v_texCoord, u_ratio);
+    }
+`;
+
+// Around a shader with its own main(), which declares v_texCoord with a top-left origin
+ShaderPreamble.FULL_HEADER = `
+    precision highp float;
+    uniform float u_ratio;
+${ShaderPreamble.OVERLAYS}
+    vec4 applyOverlays(vec4 color, vec2 texCoord) {
+        return drawOverlays(color, vec2(texCoord.x, 1.0 - texCoord.y), u_ratio);
+    }
+
+    #define main userMain
+`;
+
+ShaderPreamble.FULL_MAIN = `
+    #undef main
+    void main() {
+        userMain();
+        gl_FragColor = applyOverlays(gl_FragColor, v_texCoord);
+    }
+`;
+
+ShaderPreamble.MAIN = `
+    void main() {
+        progress = u_progress;
+        ratio = u_ratio;
+        gl_FragColor = applyOverlays(transition(v_texCoord));
+    }
+`;
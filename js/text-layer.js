@@ -0,0 +1,90 @@
+// Text Layer
+// This file lays the text of the page on screen over it as invisible, selectable spans, so it can
+// be selected and copied, and marks search matches in it. Spans are placed in fractions of the
+// page like the link hot zones, and stretched to the width the text takes on the page.
+
+class TextLayer {
+    constructor(container) {
+        this.container = container;
+        this.measureContext = document.createElement('canvas').getContext('2d');
+
+        // Selecting text must not also advance the page
+        this.container.addEventListener('click', (e) => {
+            if (this.hasSelection()) {
+                e.stopPropagation();
+            }
+        });
+    }
+
+    // Text selection is optional; without it the layer only shows search matches
+    setSelectable(selectable) {
+        this.container.classList.toggle('selectable', selectable);
+    }
+
+    hasSelection() {
+        const selection = window.getSelection();
+        return !selection.isCollapsed && this.container.contains(selection.anchorNode);
+    }
+
+    // Show pageText (see PDFHandler.getPageText) over a page displayed at width x height CSS px.
+    // highlights are [{ start, end, current }] ranges of pageText.text to mark.
+    show(pageText, width, height, highlights = []) {
+        this.clear();
+        if (pageText.items.length === 0) {
+            return;
+        }
+
+        this.container.style.width = width + 'px';
+        this.container.style.height = height + 'px';
+
+        for (const item of pageText.items) {
+            const span = document.createElement('span');
+            const fontSize = item.rect.height * height;
+            span.style.left = item.rect.x * 100 + '%';
+            span.style.top = item.rect.y * 100 + '%';
+            span.style.fontSize = fontSize + 'px';
+
+            // Stretch the text to the width it takes on the page
+            this.measureContext.font = fontSize + 'px ' + TextLayer.FONT_FAMILY;
+            const measured = this.measureContext.measureText(item.str).width;
+            if (measured > 0) {
+                span.style.transform = 'scaleX(' + item.rect.width * width / measured + ')';
+            }
+
+            this.appendText(span, item, highlights);
+            this.container.appendChild(span);
+        }
+        this.container.style.display = 'block';
+    }
+
+    // The text of an item, with the parts inside highlights wrapped in <mark>
+    appendText(span, item, highlights) {
+        const end = item.start + item.str.length;
+        let offset = item.start;
+
+        for (const highlight of highlights) {
+            const from = Math.max(highlight.start, offset);
+            const to = Math.min(highlight.end, end);
+            if (from >= to) {
+                continue;
+            }
+
+            span.appendChild(document.createTextNode(item.str.slice(offset - item.start, from - item.start)));
+            const mark = document.createElement('mark');
+            mark.textContent = item.str.slice(from - item.start, to - item.start);
+            if (highlight.current) {
+                mark.className = 'current';
+            }
+            span.appendChild(mark);
+            offset = to;
+        }
+        span.appendChild(document.createTextNode(item.str.slice(offset - item.start)));
+    }
+
+    clear() {
+        this.container.innerHTML = '';
+        this.container.style.display = 'none';
+    }
+}
+
+TextLayer.FONT_FAMILY = 'sans-serif'; // Matches .text-layer in styles.css
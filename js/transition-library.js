@@ -0,0 +1,250 @@
+// Transition Library
+// This file adapts the gl-transitions catalogue (and the built-in and PDF transition styles,
+// written against the same contract) to the WebGL transition pipeline
+
+class TransitionLibrary {
+    constructor(glTransitions = window.GLTransitions) {
+        this.transitions = new Map(); // Keyed by "<namespace>:<name>"
+
+        // Dropdown entries that are backed by a library transition
+        this.aliases = {
+            fade: 'builtin:fade',
+            slide: 'builtin:slide',
+            zoom: 'builtin:zoom',
+            cube: 'gl:cube',
+            wave: 'gl:ripple'
+        };
+
+        // Group labels for the transition selector
+        this.namespaces = {
+            custom: 'Custom Transitions',
+            pdf: 'PDF Transitions',
+            gl: 'gl-transitions'
+        };
+
+        // Built-in transitions are listed by their aliases, not as a group of their own
+        TransitionLibrary.BUILTIN.forEach((transition) => this.register(transition, 'builtin'));
+        PDFTransitions.getEntries().forEach((transition) => this.register(transition, 'pdf'));
+
+        if (Array.isArray(glTransitions)) {
+            glTransitions.forEach((transition) => this.register(transition, 'gl'));
+            console.log('Loaded', this.list('gl').length, 'gl-transitions');
+        } else {
+            console.warn('gl-transitions library not available');
+        }
+    }
+
+    // Returns false for transitions that can't run here, see getUnsupportedReason()
+    register(transition, namespace) {
+        if (TransitionLibrary.getUnsupportedReason(transition)) {
+            return false;
+        }
+
+        const value = namespace + ':' + transition.name;
+        this.transitions.set(value, {
+            value: value,
+            namespace: namespace,
+            name: transition.name,
+            label: transition.label || transition.name,
+            glsl: transition.glsl,
+            defaultParams: transition.defaultParams || {},
+            paramsTypes: transition.paramsTypes || {},
+            paramsInfo: transition.paramsInfo || TransitionLibrary.PARAM_HINTS[value] || {},
+            fullShader: Boolean(transition.fullShader), // A complete fragment shader, see ShaderPreamble.composeFull()
+            author: transition.author
+        });
+        return true;
+    }
+
+    unregister(value) {
+        this.transitions.delete(value);
+    }
+
+    list(namespace = null) {
+        const entries = Array.from(this.transitions.values());
+        return namespace ? entries.filter((entry) => entry.namespace === namespace) : entries;
+    }
+
+    resolve(transitionType) {
+        const value = this.aliases[transitionType] || transitionType;
+        return this.transitions.get(value) || null;
+    }
+
+    // Parameters a transition declares, for building its controls:
+    // [{ name, type, label, default, min, max, step, options }]. gl-transitions only declare
+    // types and defaults, so ranges are guessed from the default unless paramsInfo gives them.
+    describeParams(transitionType) {
+        const entry = this.resolve(transitionType);
+        if (!entry) {
+            return [];
+        }
+
+        return Object.entries(entry.paramsTypes).map(([name, type]) => {
+            const value = entry.defaultParams[name];
+            const param = {
+                name: name,
+                type: type,
+                label: name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, (c) => c.toUpperCase()),
+                default: value
+            };
+
+            if (type === 'float' || type === 'int') {
+                const max = value > 0 ? value * 4 : 1;
+                param.min = Math.min(0, value || 0);
+                param.max = type === 'int' ? Math.max(10, Math.ceil(max)) : max;
+                param.step = type === 'int' ? 1 : max / 100;
+            }
+            return Object.assign(param, entry.paramsInfo[name]);
+        });
+    }
+
+    // Wrap a gl-transitions entry so it runs with the u_texture1/u_texture2 contract
+    getFragmentShader(entry) {
+        return entry.fullShader ? ShaderPreamble.composeFull(entry.glsl) : ShaderPreamble.compose(entry.glsl);
+    }
+
+    // Why a transition can't run here, or null when it can
+    static getUnsupportedReason(transition) {
+        // Transitions that need extra textures (e.g. luma maps) cannot be fed here
+        if (/uniform\s+sampler2D\s+(?!u_texture[12]\b)/.test(transition.glsl)) {
+            return 'Only u_texture1 and u_texture2 can be sampled';
+        }
+        return null;
+    }
+
+    // Upload the parameter values declared by the transition, defaults first
+    applyParams(gl, program, entry, params) {
+        for (const [name, type] of Object.entries(entry.paramsTypes)) {
+            const location = gl.getUniformLocation(program, name);
+            const value = params && params[name] !== undefined ? params[name] : entry.defaultParams[name];
+
+            if (!location || value === undefined) {
+                continue;
+            }
+
+            switch (type) {
+                case 'float':
+                    gl.uniform1f(location, value);
+                    break;
+                case 'int':
+                    gl.uniform1i(location, value);
+                    break;
+                case 'bool':
+                    gl.uniform1i(location, value ? 1 : 0);
+                    break;
+                case 'vec2':
+                    gl.uniform2fv(location, value);
+                    break;
+                case 'vec3':
+                    gl.uniform3fv(location, value);
+                    break;
+                case 'vec4':
+                    gl.uniform4fv(location, value);
+                    break;
+                case 'ivec2':
+                    gl.uniform2iv(location, value);
+                    break;
+                case 'ivec3':
+                    gl.uniform3iv(location, value);
+                    break;
+                case 'ivec4':
+                    gl.uniform4iv(location, value);
+                    break;
+                default:
+                    console.warn('Unsupported parameter type', type, 'for', entry.name);
+            }
+        }
+    }
+}
+
+// Transitions of the main selector, with their formerly fixed constants as parameters.
+// u_direction is 1 when moving forward through the deck and -1 backward.
+TransitionLibrary.BUILTIN = [
+    {
+        name: 'fade',
+        label: 'Fade',
+        glsl: `
+// Blended in linear light
+vec4 transition(vec2 uv) {
+  return mixLinear(getFromColor(uv), getToColor(uv), progress);
+}
+`
+    },
+    {
+        name: 'slide',
+        label: 'Slide',
+        paramsTypes: { slideDirection: 'int' },
+        defaultParams: { slideDirection: 0 },
+        paramsInfo: {
+            slideDirection: {
+                label: 'Direction',
+                options: { 0: 'Follow navigation', 1: 'Right', 2: 'Left', 3: 'Up', 4: 'Down' }
+            }
+        },
+        glsl: `
+uniform int slideDirection; // = 0
+
+// Direction the pages move in; following navigation, forward pages enter on the left
+vec2 slideVector() {
+  if (slideDirection == 1) return vec2(1.0, 0.0);
+  if (slideDirection == 2) return vec2(-1.0, 0.0);
+  if (slideDirection == 3) return vec2(0.0, 1.0);
+  if (slideDirection == 4) return vec2(0.0, -1.0);
+  return vec2(u_direction, 0.0);
+}
+
+vec4 transition(vec2 uv) {
+  vec2 d = slideVector();
+  vec2 toUv = uv + d * (1.0 - progress);
+  return insidePage(toUv) > 0.5 ? getToColor(toUv) : getFromColor(uv - d * progress);
+}
+`
+    },
+    {
+        name: 'zoom',
+        label: 'Zoom',
+        paramsTypes: { amount: 'float' },
+        defaultParams: { amount: 0.5 },
+        paramsInfo: {
+            amount: { label: 'Zoom amount', min: 0, max: 2, step: 0.05 }
+        },
+        glsl: `
+uniform float amount; // = 0.5
+
+vec4 transition(vec2 uv) {
+  // Forward the old page shrinks away, backward it grows; around it is the stage background
+  float scale = 1.0 + progress * amount * u_direction;
+  vec2 fromUv = 0.5 + (uv - 0.5) * scale;
+  return mixLinear(getFromColor(fromUv), getToColor(uv), smoothstep(0.5, 1.0, progress));
+}
+`
+    },
+    {
+        // From the overview grid (the old image) into one of its cells; see OverviewGrid
+        name: 'overview',
+        label: 'Overview zoom',
+        paramsTypes: { cell: 'vec4' },
+        defaultParams: { cell: [0.4, 0.4, 0.2, 0.2] },
+        glsl: `
+uniform vec4 cell; // = vec4(0.4, 0.4, 0.2, 0.2)
+
+vec4 transition(vec2 uv) {
+  // Part of the grid in view: all of it at first, in the end the cell fills the page rectangle
+  vec2 endSize = cell.zw / u_rect2.zw;
+  vec4 view = mix(vec4(0.0, 0.0, 1.0, 1.0), vec4(cell.xy - u_rect2.xy * endSize, endSize), progress);
+  vec4 page = vec4((cell.xy - view.xy) / view.zw, cell.zw / view.zw);
+
+  vec4 grid = mix(getFromColor(view.xy + uv * view.zw), u_background, smoothstep(0.5, 1.0, progress));
+  return insidePage((uv - page.xy) / page.zw) > 0.5 ? samplePage(u_texture2, page, uv) : grid;
+}
+`
+    }
+];
+
+// Control ranges for parameters of transitions that don't declare them
+TransitionLibrary.PARAM_HINTS = {
+    'gl:ripple': {
+        amplitude: { min: 0, max: 200, step: 1 },
+        speed: { label: 'Frequency', min: 0, max: 100, step: 1 }
+    }
+};
@@ -0,0 +1,77 @@
+// Transition Preview
+// This file plays a transition on a small canvas of its own, so its settings can be tried out
+
+class TransitionPreview {
+    constructor(canvas, transitionLibrary) {
+        this.canvas = canvas;
+        this.webglUtils = new WebGLUtils(canvas);
+        this.webglUtils.setTransitionLibrary(transitionLibrary);
+        this.abortController = null; // Stops the preview that is playing
+        this.sampleCards = null;
+    }
+
+    isSupported() {
+        return Boolean(this.webglUtils.gl);
+    }
+
+    // Play a transition once. settings: { transition, duration, easing, hold, overshoot, params };
+    // without page images (e.g. before a PDF is loaded) two sample cards are used.
+    async play(settings, fromImage = null, toImage = null, background = '#000000') {
+        this.stop();
+        if (!this.isSupported() || settings.transition === 'none') {
+            return false;
+        }
+
+        if (!fromImage || !toImage || fromImage.width === 0 || toImage.width === 0) {
+            this.sampleCards = this.sampleCards || [
+                TransitionPreview.createSampleCard('A', '#667eea'),
+                TransitionPreview.createSampleCard('B', '#e67e22')
+            ];
+            fromImage = this.sampleCards[0];
+            toImage = this.sampleCards[1];
+        }
+
+        // The preview has the shape of the old page; both pages are fitted into it
+        this.canvas.height = Math.round(this.canvas.width * fromImage.height / fromImage.width);
+        this.webglUtils.resize(this.canvas.width, this.canvas.height);
+
+        this.abortController = new AbortController();
+        const timing = Easing.timing(settings);
+        return this.webglUtils.performTransition(fromImage, toImage, settings.transition, timing.duration, 1, {
+            easing: timing.easing,
+            params: settings.params,
+            fromRect: TransitionPreview.fitImage(fromImage, this.canvas),
+            toRect: TransitionPreview.fitImage(toImage, this.canvas),
+            background: background,
+            signal: this.abortController.signal
+        });
+    }
+
+    stop() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    // Content rectangle of an image fitted into the canvas, see WebGLUtils.fitRect
+    static fitImage(image, canvas) {
+        const scale = Math.min(canvas.width / image.width, canvas.height / image.height);
+        return WebGLUtils.fitRect(image.width * scale, image.height * scale, canvas.width, canvas.height);
+    }
+
+    static createSampleCard(label, color) {
+        const card = document.createElement('canvas');
+        card.width = 320;
+        card.height = 180;
+        const ctx = card.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, card.width, card.height);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 96px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, card.width / 2, card.height / 2);
+        return card;
+    }
+}
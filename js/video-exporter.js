@@ -0,0 +1,254 @@
+// Video Exporter
+// This file renders a deck and its transitions offscreen, frame by frame, and encodes them to WebM
+
+class VideoExporter {
+    constructor(pdfHandler, transitionLibrary, getTransitionSettings) {
+        this.pdfHandler = pdfHandler;
+        this.transitionLibrary = transitionLibrary;
+        this.getTransitionSettings = getTransitionSettings; // (page, fromPage) -> settings
+        this.cancelled = false;
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' ||
+            (typeof MediaRecorder !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype);
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // options: { height, fps, holdSeconds, useDisplayDurations, background, onProgress(fraction) }
+    async export(options) {
+        const fps = options.fps || 30;
+        this.cancelled = false;
+
+        // Output size follows the first page's aspect ratio; codecs want even sizes
+        const firstPage = await this.pdfHandler.getPageDimensions(1, 1.0);
+        const height = VideoExporter.even(options.height || 1080);
+        const width = VideoExporter.even(height * firstPage.width / firstPage.height);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.webglUtils = new WebGLUtils(this.canvas);
+        this.webglUtils.setTransitionLibrary(this.transitionLibrary);
+        if (!this.webglUtils.gl) {
+            throw new Error('WebGL is required for video export');
+        }
+
+        let encoder = null;
+        try {
+            const frames = await this.planFrames(fps, options);
+            encoder = typeof VideoEncoder !== 'undefined' ?
+                await this.createWebCodecsEncoder(width, height, fps) :
+                this.createMediaRecorderEncoder(fps);
+
+            let frameIndex = 0;
+            let fromImage = null;
+            let toImage = null;
+
+            for (const segment of frames) {
+                // Page images are rendered on demand, only two are kept
+                if (segment.page !== (toImage && toImage.page)) {
+                    fromImage = toImage;
+                    toImage = await this.renderPageFrame(segment.page, width, height);
+                }
+
+                if (segment.type === 'transition') {
+                    this.webglUtils.beginTransition(fromImage.canvas, toImage.canvas, segment.settings.transition, 1, {
+                        params: segment.settings.params,
+                        fromRect: fromImage.rect,
+                        toRect: toImage.rect,
+                        background: options.background,
+                        fromKey: 'page:' + fromImage.page,
+                        toKey: 'page:' + toImage.page
+                    });
+                } else {
+                    // Holding a slide is a finished transition to itself, its texture is uploaded once
+                    const key = 'page:' + toImage.page;
+                    this.webglUtils.beginTransition(toImage.canvas, toImage.canvas, 'fade', 1, {
+                        fromRect: toImage.rect,
+                        toRect: toImage.rect,
+                        background: options.background,
+                        fromKey: key,
+                        toKey: key
+                    });
+                }
+
+                for (let i = 0; i < segment.frames; i++) {
+                    if (this.cancelled) {
+                        throw new Error('Export cancelled');
+                    }
+
+                    const time = segment.type === 'transition' ? (i + 1) / segment.frames : 1.0;
+                    this.webglUtils.renderTransitionFrame(Easing.apply(segment.easing, time));
+                    await encoder.addFrame(frameIndex++);
+
+                    if (options.onProgress) {
+                        options.onProgress(frameIndex / frames.totalFrames);
+                    }
+                }
+            }
+
+            this.webglUtils.endTransition();
+            return await encoder.finish();
+        } catch (error) {
+            if (encoder) {
+                encoder.abort();
+            }
+            throw error;
+        } finally {
+            this.releaseContext();
+        }
+    }
+
+    // Browsers allow only a few live WebGL contexts and evict the oldest, which may be the viewer's
+    releaseContext() {
+        const gl = this.webglUtils && this.webglUtils.gl;
+        const extension = gl && gl.getExtension('WEBGL_lose_context');
+        if (extension) {
+            extension.loseContext();
+        }
+        this.webglUtils = null;
+    }
+
+    static even(value) {
+        return Math.max(2, Math.round(value / 2) * 2);
+    }
+
+    // Build the timeline: a hold for every page, preceded by the transition into it
+    async planFrames(fps, options) {
+        const frames = [];
+        frames.totalFrames = 0;
+
+        for (let page = 1; page <= this.pdfHandler.getPageCount(); page++) {
+            if (page > 1) {
+                const settings = this.getTransitionSettings(page, page - 1);
+                const timing = Easing.timing(settings);
+                const count = settings.transition === 'none' ? 0 : Math.round(timing.duration / 1000 * fps);
+                if (count > 0) {
+                    frames.push({ type: 'transition', page: page, frames: count, settings: settings, easing: timing.easing });
+                    frames.totalFrames += count;
+                }
+            }
+
+            const displayDuration = options.useDisplayDurations ? this.pdfHandler.getPageDisplayDuration(page) : null;
+            const seconds = displayDuration !== null && displayDuration >= 0 ? displayDuration : options.holdSeconds;
+            const count = Math.max(1, Math.round(seconds * fps));
+            frames.push({ type: 'hold', page: page, frames: count, settings: {}, easing: 'linear' });
+            frames.totalFrames += count;
+        }
+
+        return frames;
+    }
+
+    // Render a page to fit a frame of the output size; the shaders letterbox it into its rectangle
+    async renderPageFrame(pageNumber, width, height) {
+        const size = await this.pdfHandler.getPageDimensions(pageNumber, 1.0);
+        const dpr = window.devicePixelRatio || 1;
+        const scale = Math.min(width / size.width, height / size.height) / dpr;
+
+        const pageCanvas = document.createElement('canvas');
+        await this.pdfHandler.renderPage(pageNumber, pageCanvas, scale, 'slide', { priority: PDFHandler.PRIORITY.EXPORT });
+
+        return {
+            page: pageNumber,
+            canvas: pageCanvas,
+            rect: WebGLUtils.fitRect(pageCanvas.width, pageCanvas.height, width, height)
+        };
+    }
+
+    // WebCodecs: explicit timestamps, so the output does not depend on real time
+    async createWebCodecsEncoder(width, height, fps) {
+        const candidates = [
+            { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+            { codec: 'vp8', codecId: 'V_VP8' }
+        ];
+
+        let chosen = null;
+        for (const candidate of candidates) {
+            const config = { codec: candidate.codec, width, height, bitrate: 8000000, framerate: fps };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) {
+                chosen = { config, codecId: candidate.codecId };
+                break;
+            }
+        }
+        if (!chosen) {
+            throw new Error('No supported WebM video codec');
+        }
+
+        const muxer = new WebMMuxer({ codec: chosen.codecId, width, height, frameRate: fps });
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk) => muxer.addVideoChunk(chunk),
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure(chosen.config);
+
+        return {
+            addFrame: async (index) => {
+                if (encoderError) {
+                    throw encoderError;
+                }
+                const frame = new VideoFrame(this.canvas, {
+                    timestamp: Math.round(index * 1e6 / fps),
+                    duration: Math.round(1e6 / fps)
+                });
+                encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+                frame.close();
+
+                // Keep the encoder queue short to bound memory use
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                }
+            },
+            finish: async () => {
+                await encoder.flush();
+                encoder.close();
+                return muxer.finalize();
+            },
+            abort: () => {
+                if (encoder.state !== 'closed') {
+                    encoder.close();
+                }
+            }
+        };
+    }
+
+    // MediaRecorder fallback: frames are pushed at the frame rate in real time
+    createMediaRecorderEncoder(fps) {
+        const stream = this.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4']
+            .find((type) => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: 8000000 });
+        const chunks = [];
+
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        recorder.start();
+
+        const frameInterval = 1000 / fps;
+        let nextFrameTime = performance.now();
+
+        return {
+            addFrame: async () => {
+                track.requestFrame();
+                nextFrameTime += frameInterval;
+                await new Promise((resolve) => setTimeout(resolve, Math.max(0, nextFrameTime - performance.now())));
+            },
+            finish: () => new Promise((resolve) => {
+                recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+                recorder.stop();
+                track.stop();
+            }),
+            abort: () => {
+                if (recorder.state !== 'inactive') {
+                    recorder.stop();
+                }
+                track.stop();
+            }
+        };
+    }
+}
@@ -6,11 +6,49 @@ class WebGLUtils {
         this.canvas = canvas;
         this.gl = null;
         this.program = null;
-        this.textures = [];
+        this.programs = new Map(); // Transition type -> compiled program
+        this.quad = null; // Full-screen quad buffers, shared by every program
+        this.texturePool = new Map(); // Key (page@scale) -> { texture, lastUsed }
+        this.maxPooledTextures = 4;
+        this.transitionLibrary = null;
+        this.transitionState = null; // Textures and uniforms of the running transition
+        this.contextLost = false;
+        this.onContextRestored = null; // Called once GPU resources can be uploaded again
+        this.still = null; // Page shown between transitions: { image, key, rect, background }
+        this.blank = [0, 0, 0, 0]; // u_blank, see ShaderPreamble
+        this.pointer = [0, 0, 0, 0]; // u_pointer
+        this.lastError = null; // { stage: 'vertex', 'fragment' or 'link', log } of the last failed program
+        this.redrawRequested = false;
         
+        this.setupContextLossHandling();
         this.initGL();
     }
 
+    // GPU resources are gone after a context loss; they are recreated lazily once it is restored
+    setupContextLossHandling() {
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            // Tell the browser we want the context back
+            e.preventDefault();
+            this.contextLost = true;
+            this.transitionState = null;
+            this.still = null;
+            this.program = null;
+            this.programs.clear();
+            this.texturePool.clear();
+            this.quad = null;
+            console.warn('WebGL context lost');
+        });
+
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            this.contextLost = false;
+            this.initGL();
+            console.log('WebGL context restored');
+            if (this.onContextRestored) {
+                this.onContextRestored();
+            }
+        });
+    }
+
     initGL() {
         // Get WebGL context
         this.gl = this.canvas.getContext('webgl') || this.canvas.getContext('experimental-webgl');
@@ -36,7 +74,11 @@ class WebGLUtils {
         this.gl.compileShader(shader);
         
         if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-            console.error('Shader compilation error:', this.gl.getShaderInfoLog(shader));
+            this.lastError = {
+                stage: type === this.gl.VERTEX_SHADER ? 'vertex' : 'fragment',
+                log: this.gl.getShaderInfoLog(shader)
+            };
+            console.error('Shader compilation error:', this.lastError.log);
             this.gl.deleteShader(shader);
             return null;
         }
@@ -58,7 +100,8 @@ class WebGLUtils {
         this.gl.linkProgram(program);
         
         if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-            console.error('Program linking error:', this.gl.getProgramInfoLog(program));
+            this.lastError = { stage: 'link', log: this.gl.getProgramInfoLog(program) };
+            console.error('Program linking error:', this.lastError.log);
             return null;
         }
         
@@ -69,6 +112,12 @@ class WebGLUtils {
         const texture = this.gl.createTexture();
         this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
         
+        // Keep rows top first (ImageBitmaps ignore UNPACK_FLIP_Y, the shader preamble flips instead),
+        // premultiply alpha and take pixels as-is, without colour space conversion
+        this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, false);
+        this.gl.pixelStorei(this.gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        this.gl.pixelStorei(this.gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, this.gl.NONE);
+        
         // Set texture parameters
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
@@ -88,6 +137,10 @@ class WebGLUtils {
         return texture;
     }
 
+    setTransitionLibrary(library) {
+        this.transitionLibrary = library;
+    }
+
     // Basic vertex shader for full-screen quad
     getBasicVertexShader() {
         return `
@@ -102,85 +155,44 @@ class WebGLUtils {
         `;
     }
 
-    // Fade transition shader
-    getFadeFragmentShader() {
+    // Complete shaders written for the original contract sample the pages at v_texCoord directly,
+    // which needs a top-left origin
+    getTopLeftVertexShader() {
         return `
-            precision mediump float;
-            uniform sampler2D u_texture1;
-            uniform sampler2D u_texture2;
-            uniform float u_progress;
-            uniform float u_direction;
+            attribute vec2 a_position;
+            attribute vec2 a_texCoord;
             varying vec2 v_texCoord;
             
             void main() {
-                vec4 color1 = texture2D(u_texture1, v_texCoord);
-                vec4 color2 = texture2D(u_texture2, v_texCoord);
-                gl_FragColor = mix(color1, color2, u_progress);
+                gl_Position = vec4(a_position, 0.0, 1.0);
+                v_texCoord = vec2(a_texCoord.x, 1.0 - a_texCoord.y);
             }
         `;
     }
 
-    // Slide transition shader
-    getSlideFragmentShader() {
+    // The built-in transitions live in the TransitionLibrary; this fade is used without one.
+    // Shaders follow the gl-transitions contract and are wrapped by ShaderPreamble.
+
+    // Fade transition shader, blended in linear light
+    getFadeFragmentShader() {
         return `
-            precision mediump float;
-            uniform sampler2D u_texture1;
-            uniform sampler2D u_texture2;
-            uniform float u_progress;
-            uniform float u_direction;
-            varying vec2 v_texCoord;
-            
-            void main() {
-                vec2 coord1 = v_texCoord + vec2(-u_progress * u_direction, 0.0);
-                vec2 coord2 = v_texCoord + vec2((1.0 - u_progress) * u_direction, 0.0);
-                
-                if (u_direction > 0.0) {
-                    // Forward
-                    if (v_texCoord.x < u_progress) {
-                        gl_FragColor = texture2D(u_texture2, coord2);
-                    } else {
-                        gl_FragColor = texture2D(u_texture1, coord1);
-                    }
-                } else {
-                    // Backward
-                    if (v_texCoord.x > 1.0 - u_progress) {
-                        gl_FragColor = texture2D(u_texture2, coord2);
-                    } else {
-                        gl_FragColor = texture2D(u_texture1, coord1);
-                    }
-                }
+            vec4 transition(vec2 uv) {
+                return mixLinear(getFromColor(uv), getToColor(uv), progress);
             }
         `;
     }
 
-    // Zoom transition shader
-    getZoomFragmentShader() {
+    // Resting page between transitions, drawn by the same pipeline so overlays apply alike
+    getStillFragmentShader() {
         return `
-            precision mediump float;
-            uniform sampler2D u_texture1;
-            uniform sampler2D u_texture2;
-            uniform float u_progress;
-            uniform float u_direction;
-            varying vec2 v_texCoord;
-            
-            void main() {
-                vec2 center = vec2(0.5, 0.5);
-                float scale = 1.0 + u_progress * 0.5 * u_direction;
-                vec2 coord1 = center + (v_texCoord - center) * scale;
-                
-                vec4 color1 = texture2D(u_texture1, coord1);
-                vec4 color2 = texture2D(u_texture2, v_texCoord);
-                
-                float alpha = smoothstep(0.5, 1.0, u_progress);
-                gl_FragColor = mix(color1, color2, alpha);
+            vec4 transition(vec2 uv) {
+                return getToColor(uv);
             }
         `;
     }
 
-    // TODO: Add more transition shaders (cube, wave, etc.)
-
-    setupGeometry() {
-        // Create full-screen quad
+    // Create the full-screen quad once
+    createQuad() {
         const positions = new Float32Array([
             -1, -1,
              1, -1,
@@ -188,11 +200,12 @@ class WebGLUtils {
              1,  1
         ]);
 
+        // Bottom-left origin, as in gl-transitions
         const texCoords = new Float32Array([
-            0, 1,
-            1, 1,
             0, 0,
-            1, 0
+            1, 0,
+            0, 1,
+            1, 1
         ]);
 
         // Position buffer
@@ -200,94 +213,351 @@ class WebGLUtils {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
 
-        const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-        this.gl.enableVertexAttribArray(positionLocation);
-        this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-
         // Texture coordinate buffer
         const texCoordBuffer = this.gl.createBuffer();
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, texCoordBuffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, texCoords, this.gl.STATIC_DRAW);
 
+        this.quad = { positionBuffer: positionBuffer, texCoordBuffer: texCoordBuffer };
+    }
+
+    // Point the current program's attributes at the shared quad
+    setupGeometry() {
+        if (!this.quad) {
+            this.createQuad();
+        }
+
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.quad.positionBuffer);
+        const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        this.gl.enableVertexAttribArray(positionLocation);
+        this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.quad.texCoordBuffer);
         const texCoordLocation = this.gl.getAttribLocation(this.program, 'a_texCoord');
         this.gl.enableVertexAttribArray(texCoordLocation);
         this.gl.vertexAttribPointer(texCoordLocation, 2, this.gl.FLOAT, false, 0, 0);
     }
 
     getFragmentShaderForTransition(transitionType) {
+        // Library transitions (gl-transitions) take precedence over the fallback
+        const entry = this.transitionLibrary && this.transitionLibrary.resolve(transitionType);
+        if (entry) {
+            return this.transitionLibrary.getFragmentShader(entry);
+        }
+
         switch (transitionType) {
+            case 'still':
+                return ShaderPreamble.compose(this.getStillFragmentShader());
             case 'fade':
-                return this.getFadeFragmentShader();
-            case 'slide':
-                return this.getSlideFragmentShader();
-            case 'zoom':
-                return this.getZoomFragmentShader();
             default:
-                return this.getFadeFragmentShader();
+                return ShaderPreamble.compose(this.getFadeFragmentShader());
         }
     }
 
-    performTransition(fromImage, toImage, transitionType, duration, direction = 1) {
-        return new Promise((resolve) => {
-            // Create shader program for this transition
+    // Programs are compiled once per transition type
+    getProgram(transitionType) {
+        let program = this.programs.get(transitionType);
+        if (!program) {
+            const entry = this.transitionLibrary && this.transitionLibrary.resolve(transitionType);
+            const vertexShader = entry && entry.fullShader ? this.getTopLeftVertexShader() : this.getBasicVertexShader();
             const fragmentShader = this.getFragmentShaderForTransition(transitionType);
-            this.program = this.createProgram(this.getBasicVertexShader(), fragmentShader);
-            
-            if (!this.program) {
-                console.error('Failed to create shader program');
-                resolve();
+            program = this.createProgram(vertexShader, fragmentShader);
+            if (!program) {
+                return null;
+            }
+            this.programs.set(transitionType, program);
+        }
+        return program;
+    }
+
+    // Drop compiled programs, e.g. after the GLSL of a transition changed
+    clearProgramCache() {
+        for (const program of this.programs.values()) {
+            this.gl.deleteProgram(program);
+        }
+        this.programs.clear();
+    }
+
+    // Texture of an image, kept in the pool when a key is given. Without a key the texture
+    // is temporary and deleted when the transition ends.
+    acquireTexture(image, key = null) {
+        const pooled = key && this.texturePool.get(key);
+        if (pooled) {
+            pooled.lastUsed = performance.now();
+            return pooled.texture;
+        }
+
+        const texture = this.createTexture(image);
+        if (key) {
+            this.texturePool.set(key, { texture: texture, lastUsed: performance.now() });
+        }
+        return texture;
+    }
+
+    hasTexture(key) {
+        return this.texturePool.has(key);
+    }
+
+    // Upload ahead of time, so a transition to this page starts without a hitch
+    preloadTexture(key, image) {
+        if (this.gl && !this.contextLost && !this.texturePool.has(key)) {
+            this.acquireTexture(image, key);
+            this.trimTexturePool();
+        }
+    }
+
+    // Keep only the given textures (and those of a running transition)
+    retainTextures(keys) {
+        const keep = new Set(keys);
+        for (const [key, pooled] of this.texturePool) {
+            if (!keep.has(key) && !this.isTextureInUse(pooled.texture)) {
+                this.gl.deleteTexture(pooled.texture);
+                this.texturePool.delete(key);
+            }
+        }
+    }
+
+    // Drop least recently used textures beyond the pool size
+    trimTexturePool() {
+        while (this.texturePool.size > this.maxPooledTextures) {
+            let oldest = null;
+            for (const [key, pooled] of this.texturePool) {
+                if (!this.isTextureInUse(pooled.texture) && (!oldest || pooled.lastUsed < oldest.pooled.lastUsed)) {
+                    oldest = { key: key, pooled: pooled };
+                }
+            }
+            if (!oldest) {
                 return;
             }
+            this.gl.deleteTexture(oldest.pooled.texture);
+            this.texturePool.delete(oldest.key);
+        }
+    }
+
+    // Textures of the running transition and of the page on screen
+    isTextureInUse(texture) {
+        const still = this.still && this.texturePool.get(this.still.key);
+        return (still && still.texture === texture) || (this.transitionState !== null &&
+            (this.transitionState.texture1 === texture || this.transitionState.texture2 === texture));
+    }
+
+    // Show a page until the next transition. The canvas is the only surface: the page, blank
+    // screens and the laser pointer are all drawn here.
+    showStill(image, key, rect = null, background = null) {
+        this.still = { image: image, key: key, rect: rect || [0, 0, 1, 1], background: background };
+        this.renderStill();
+    }
+
+    // Redraw the resting page, e.g. after an overlay changed. A running transition picks up
+    // overlay changes on its next frame.
+    renderStill() {
+        if (!this.still || this.transitionState || !this.gl || this.contextLost) {
+            return;
+        }
+
+        // A released bitmap can't be uploaded again
+        if (this.still.image.width === 0 && !this.hasTexture(this.still.key)) {
+            return;
+        }
+
+        const options = {
+            fromRect: this.still.rect,
+            toRect: this.still.rect,
+            background: this.still.background,
+            fromKey: this.still.key,
+            toKey: this.still.key
+        };
+        if (this.beginTransition(this.still.image, this.still.image, 'still', 1, options)) {
+            this.renderTransitionFrame(1.0);
+            this.endTransition();
+        }
+    }
 
-            this.gl.useProgram(this.program);
+    // Redraw once per animation frame however often overlays change, e.g. on pointer moves
+    requestRedraw() {
+        if (this.redrawRequested) {
+            return;
+        }
+        this.redrawRequested = true;
+        requestAnimationFrame(() => {
+            this.redrawRequested = false;
+            this.renderStill();
+        });
+    }
 
-            // Setup geometry
-            this.setupGeometry();
+    // Cover the output with a colour ('#rrggbb'), or null to show the page again
+    setBlank(color) {
+        this.blank = color ? WebGLUtils.parseColor(color) : [0, 0, 0, 0];
+        this.requestRedraw();
+    }
+
+    // Laser pointer at x, y (uv of the canvas, bottom-left origin), or null to hide it
+    setPointer(position) {
+        this.pointer = position ? [position.x, position.y, WebGLUtils.POINTER_RADIUS, 1] : [0, 0, 0, 0];
+        this.requestRedraw();
+    }
 
-            // Create textures
-            const texture1 = this.createTexture(fromImage);
-            const texture2 = this.createTexture(toImage);
+    // Content rectangle (x, y, width, height in stage uv, bottom-left origin) of a page
+    // of the given size, centred in the stage
+    static fitRect(width, height, stageWidth, stageHeight) {
+        const w = width / stageWidth;
+        const h = height / stageHeight;
+        return [(1 - w) / 2, (1 - h) / 2, w, h];
+    }
+
+    // '#rrggbb' to an opaque RGBA array with components from 0 to 1
+    static parseColor(color) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!match) {
+            return [0, 0, 0, 1];
+        }
+        return [parseInt(match[1], 16) / 255, parseInt(match[2], 16) / 255, parseInt(match[3], 16) / 255, 1];
+    }
+
+    // Set up program, geometry, textures and uniforms for a transition.
+    // options: { easing, params, fromRect, toRect, background, signal, fromKey, toKey } - the rects
+    // place pages of different sizes on the stage, see fitRect; by default both fill it. With a key,
+    // a page texture stays in the pool and an image already uploaded under that key may be null.
+    // The new page of one transition is usually the old page of the next.
+    // Returns false if the shader program could not be created.
+    beginTransition(fromImage, toImage, transitionType, direction = 1, options = {}) {
+        this.endTransition();
+        if (!this.gl || this.contextLost) {
+            return false;
+        }
+
+        // Shader program for this transition, compiled on first use
+        this.program = this.getProgram(transitionType);
+        
+        if (!this.program) {
+            console.error('Failed to create shader program');
+            return false;
+        }
 
-            // Get uniform locations
-            const texture1Location = this.gl.getUniformLocation(this.program, 'u_texture1');
-            const texture2Location = this.gl.getUniformLocation(this.program, 'u_texture2');
-            const progressLocation = this.gl.getUniformLocation(this.program, 'u_progress');
-            const directionLocation = this.gl.getUniformLocation(this.program, 'u_direction');
+        this.gl.useProgram(this.program);
 
-            // Bind textures
-            this.gl.activeTexture(this.gl.TEXTURE0);
-            this.gl.bindTexture(this.gl.TEXTURE_2D, texture1);
-            this.gl.uniform1i(texture1Location, 0);
+        // Setup geometry
+        this.setupGeometry();
 
-            this.gl.activeTexture(this.gl.TEXTURE1);
-            this.gl.bindTexture(this.gl.TEXTURE_2D, texture2);
-            this.gl.uniform1i(texture2Location, 1);
+        // Page textures, from the pool when possible
+        const texture1 = this.acquireTexture(fromImage, options.fromKey);
+        const texture2 = this.acquireTexture(toImage, options.toKey);
 
-            // Set direction uniform
-            if (directionLocation) {
-                this.gl.uniform1f(directionLocation, direction);
+        // Get uniform locations
+        const texture1Location = this.gl.getUniformLocation(this.program, 'u_texture1');
+        const texture2Location = this.gl.getUniformLocation(this.program, 'u_texture2');
+        const progressLocation = this.gl.getUniformLocation(this.program, 'u_progress');
+        const directionLocation = this.gl.getUniformLocation(this.program, 'u_direction');
+        const ratioLocation = this.gl.getUniformLocation(this.program, 'u_ratio');
+
+        // Bind textures
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, texture1);
+        this.gl.uniform1i(texture1Location, 0);
+
+        this.gl.activeTexture(this.gl.TEXTURE1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, texture2);
+        this.gl.uniform1i(texture2Location, 1);
+
+        // Set direction uniform
+        if (directionLocation) {
+            this.gl.uniform1f(directionLocation, direction);
+        }
+
+        // Set aspect ratio uniform
+        if (ratioLocation) {
+            this.gl.uniform1f(ratioLocation, this.canvas.width / this.canvas.height);
+        }
+
+        // Page rectangles and stage background
+        const background = WebGLUtils.parseColor(options.background);
+        this.gl.uniform4fv(this.gl.getUniformLocation(this.program, 'u_rect1'), options.fromRect || [0, 0, 1, 1]);
+        this.gl.uniform4fv(this.gl.getUniformLocation(this.program, 'u_rect2'), options.toRect || [0, 0, 1, 1]);
+        this.gl.uniform4fv(this.gl.getUniformLocation(this.program, 'u_background'), background);
+        this.gl.clearColor(background[0], background[1], background[2], 1.0);
+
+        // Set parameters of library transitions
+        const entry = this.transitionLibrary && this.transitionLibrary.resolve(transitionType);
+        if (entry) {
+            this.transitionLibrary.applyParams(this.gl, this.program, entry, options.params);
+        }
+
+        this.transitionState = {
+            texture1: texture1,
+            texture2: texture2,
+            temporary: [options.fromKey ? null : texture1, options.toKey ? null : texture2],
+            progressLocation: progressLocation,
+            blankLocation: this.gl.getUniformLocation(this.program, 'u_blank'),
+            pointerLocation: this.gl.getUniformLocation(this.program, 'u_pointer')
+        };
+        this.trimTexturePool();
+        return true;
+    }
+
+    // Draw one frame of the current transition at an explicit progress value
+    renderTransitionFrame(progress) {
+        if (!this.transitionState) {
+            return;
+        }
+
+        // Update progress and overlay uniforms
+        this.gl.uniform1f(this.transitionState.progressLocation, progress);
+        this.gl.uniform4fv(this.transitionState.blankLocation, this.blank);
+        this.gl.uniform4fv(this.transitionState.pointerLocation, this.pointer);
+
+        // Clear and draw
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    endTransition() {
+        if (!this.transitionState) {
+            return;
+        }
+
+        // Pooled textures stay on the GPU for the next transition
+        for (const texture of this.transitionState.temporary) {
+            if (texture) {
+                this.gl.deleteTexture(texture);
+            }
+        }
+        this.transitionState = null;
+    }
+
+    // Resolves true when the transition ran to the end, false when options.signal
+    // (an AbortSignal) or a context loss cut it short, or it could not start
+    performTransition(fromImage, toImage, transitionType, duration, direction = 1, options = {}) {
+        return new Promise((resolve) => {
+            const signal = options.signal;
+            if ((signal && signal.aborted) ||
+                !this.beginTransition(fromImage, toImage, transitionType, direction, options)) {
+                resolve(false);
+                return;
             }
 
             // Animation loop
             const startTime = Date.now();
             const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1.0);
+                if (this.contextLost) {
+                    resolve(false);
+                    return;
+                }
+                if (signal && signal.aborted) {
+                    this.endTransition();
+                    resolve(false);
+                    return;
+                }
 
-                // Update progress uniform
-                this.gl.uniform1f(progressLocation, progress);
+                const elapsed = Date.now() - startTime;
+                const time = duration > 0 ? Math.min(elapsed / duration, 1.0) : 1.0;
 
-                // Clear and draw
-                this.gl.clear(this.gl.COLOR_BUFFER_BIT);
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+                this.renderTransitionFrame(Easing.apply(options.easing, time));
 
-                if (progress < 1.0) {
+                if (time < 1.0) {
                     requestAnimationFrame(animate);
                 } else {
-                    // Cleanup
-                    this.gl.deleteTexture(texture1);
-                    this.gl.deleteTexture(texture2);
-                    resolve();
+                    this.endTransition();
+                    resolve(true);
                 }
             };
 
@@ -296,8 +566,11 @@ class WebGLUtils {
     }
 
     resize(width, height) {
-        this.canvas.width = width;
-        this.canvas.height = height;
+        // Setting the size clears the canvas, even to the same size
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
         this.gl.viewport(0, 0, width, height);
     }
 
@@ -305,3 +578,6 @@ class WebGLUtils {
         this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
     }
 }
+
+// Laser pointer spot radius, as a fraction of the output height
+WebGLUtils.POINTER_RADIUS = 0.012;
@@ -0,0 +1,167 @@
+// WebM Muxer
+// This file packs encoded VP8/VP9 video chunks (WebCodecs) into a minimal WebM file
+
+class WebMMuxer {
+    constructor({ codec = 'V_VP9', width, height, frameRate = 30 }) {
+        this.codec = codec;
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+        this.frames = []; // { data, timestamp (ms), keyFrame }
+    }
+
+    addVideoChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.frames.push({
+            data: data,
+            timestamp: Math.round(chunk.timestamp / 1000), // Microseconds to milliseconds
+            keyFrame: chunk.type === 'key'
+        });
+    }
+
+    finalize() {
+        const frameDuration = 1000 / this.frameRate;
+        const lastFrame = this.frames[this.frames.length - 1];
+        const duration = lastFrame ? lastFrame.timestamp + frameDuration : 0;
+
+        const header = WebMMuxer.element(0x1A45DFA3, [
+            WebMMuxer.element(0x4286, WebMMuxer.uint(1)), // EBMLVersion
+            WebMMuxer.element(0x42F7, WebMMuxer.uint(1)), // EBMLReadVersion
+            WebMMuxer.element(0x42F2, WebMMuxer.uint(4)), // EBMLMaxIDLength
+            WebMMuxer.element(0x42F3, WebMMuxer.uint(8)), // EBMLMaxSizeLength
+            WebMMuxer.element(0x4282, WebMMuxer.string('webm')), // DocType
+            WebMMuxer.element(0x4287, WebMMuxer.uint(2)), // DocTypeVersion
+            WebMMuxer.element(0x4285, WebMMuxer.uint(2)) // DocTypeReadVersion
+        ]);
+
+        const info = WebMMuxer.element(0x1549A966, [
+            WebMMuxer.element(0x2AD7B1, WebMMuxer.uint(1000000)), // TimecodeScale: 1 ms
+            WebMMuxer.element(0x4489, WebMMuxer.float(duration)), // Duration
+            WebMMuxer.element(0x4D80, WebMMuxer.string('PDF Transitions')), // MuxingApp
+            WebMMuxer.element(0x5741, WebMMuxer.string('PDF Transitions')) // WritingApp
+        ]);
+
+        const tracks = WebMMuxer.element(0x1654AE6B, [
+            WebMMuxer.element(0xAE, [ // TrackEntry
+                WebMMuxer.element(0xD7, WebMMuxer.uint(1)), // TrackNumber
+                WebMMuxer.element(0x73C5, WebMMuxer.uint(1)), // TrackUID
+                WebMMuxer.element(0x83, WebMMuxer.uint(1)), // TrackType: video
+                WebMMuxer.element(0x9C, WebMMuxer.uint(0)), // FlagLacing
+                WebMMuxer.element(0x86, WebMMuxer.string(this.codec)), // CodecID
+                WebMMuxer.element(0x23E383, WebMMuxer.uint(Math.round(1e9 / this.frameRate))), // DefaultDuration (ns)
+                WebMMuxer.element(0xE0, [ // Video
+                    WebMMuxer.element(0xB0, WebMMuxer.uint(this.width)), // PixelWidth
+                    WebMMuxer.element(0xBA, WebMMuxer.uint(this.height)) // PixelHeight
+                ])
+            ])
+        ]);
+
+        // The frame data goes into the Blob as it is; only the element headers around it are written
+        const clusters = this.buildClusters();
+        const segmentSize = info.length + tracks.length + clusters.reduce((total, part) => total + part.length, 0);
+        const segment = WebMMuxer.elementHeader(0x18538067, segmentSize);
+        const blob = new Blob([header, segment, info, tracks].concat(clusters), { type: 'video/webm' });
+
+        this.frames = [];
+        return blob;
+    }
+
+    // Byte arrays of the clusters, in file order. A new cluster starts at every key frame,
+    // or when block timecodes would overflow.
+    buildClusters() {
+        const parts = [];
+        let clusterStart = 0;
+        let blocks = []; // Byte arrays of the blocks of the open cluster
+        let blocksSize = 0;
+
+        const flush = () => {
+            if (blocks.length > 0) {
+                const timecode = WebMMuxer.element(0xE7, WebMMuxer.uint(clusterStart));
+                parts.push(WebMMuxer.elementHeader(0x1F43B675, timecode.length + blocksSize), timecode);
+                parts.push(...blocks);
+            }
+            blocks = [];
+            blocksSize = 0;
+        };
+
+        for (const frame of this.frames) {
+            if (blocks.length === 0 || frame.keyFrame || frame.timestamp - clusterStart > 32767) {
+                flush();
+                clusterStart = frame.timestamp;
+            }
+
+            // SimpleBlock: track number, relative timecode (int16), flags, frame data
+            const prefix = new Uint8Array(4);
+            const relative = frame.timestamp - clusterStart;
+            prefix[0] = 0x81;
+            prefix[1] = (relative >> 8) & 0xFF;
+            prefix[2] = relative & 0xFF;
+            prefix[3] = frame.keyFrame ? 0x80 : 0x00;
+            const blockHeader = WebMMuxer.elementHeader(0xA3, prefix.length + frame.data.length);
+
+            blocks.push(blockHeader, prefix, frame.data);
+            blocksSize += blockHeader.length + prefix.length + frame.data.length;
+        }
+
+        flush();
+        return parts;
+    }
+
+    // Encode an EBML element: ID bytes, 8-byte size, payload. For small elements; large payloads
+    // follow their elementHeader() as separate parts instead of being copied.
+    static element(id, payload) {
+        const parts = Array.isArray(payload) ? payload : [payload];
+        const size = parts.reduce((total, part) => total + part.length, 0);
+
+        const header = WebMMuxer.elementHeader(id, size);
+        const result = new Uint8Array(header.length + size);
+        result.set(header, 0);
+
+        let offset = header.length;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    // ID bytes and size of an element whose payload of the given size follows
+    static elementHeader(id, size) {
+        const idBytes = [];
+        for (let value = id; value > 0; value = Math.floor(value / 256)) {
+            idBytes.unshift(value & 0xFF);
+        }
+
+        const result = new Uint8Array(idBytes.length + 8);
+        result.set(idBytes, 0);
+
+        // Sizes always use the 8-byte form (marker 0x01 + 7 bytes)
+        const offset = idBytes.length;
+        result[offset] = 0x01;
+        for (let i = 7, value = size; i >= 1; i--, value = Math.floor(value / 256)) {
+            result[offset + i] = value & 0xFF;
+        }
+        return result;
+    }
+
+    static uint(value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value & 0xFF);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return new Uint8Array(bytes);
+    }
+
+    static float(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return bytes;
+    }
+
+    static string(value) {
+        return new Uint8Array(Array.from(value, (c) => c.charCodeAt(0)));
+    }
+}